@@ -0,0 +1,300 @@
+// service worker owning settings and tab state
+// - settings: the only writer of chrome.storage.sync; every change is pushed to registered tabs
+// - feedback labels: the only writer of chrome.storage.local feedbackLabels, pushed the same way
+// - tabs: which tabs run a content script and how many of their media elements are filtered
+// - keyboard shortcuts (chrome.commands) for the active tab
+
+importScripts('modes.js', 'feedback.js');
+
+const SENSITIVITY_STEP = 0.1;
+const SENSITIVITY_RANGE = [0.1, 2.0];
+
+// in-memory copies, reloaded whenever the worker wakes up
+let settings = null;
+let tabStatus = null; // tabId -> { documentId, hostname, title, media, filtering, bypassed }
+
+const settingsReady = new Promise(resolve => chrome.storage.sync.get(null, (data) => {
+    settings = data;
+    resolve();
+}));
+
+// tab state outlives worker restarts in session storage, but not a browser restart
+const tabsReady = new Promise(resolve => chrome.storage.session.get(['tabStatus'], (data) => {
+    tabStatus = data.tabStatus || {};
+    resolve();
+}));
+
+function saveTabStatus() {
+    chrome.storage.session.set({ tabStatus });
+}
+
+// rejects when sync storage refuses the write, e.g. an item over its quota
+function updateSettings(values) {
+    return settingsReady.then(() => new Promise((resolve, reject) => chrome.storage.sync.set(values, () => {
+        if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+            return;
+        }
+        resolve();
+    })));
+}
+
+// labels are read and written one change at a time, so marks in quick succession all land
+let feedbackWrites = Promise.resolve();
+
+function updateFeedbackLabels(update) {
+    feedbackWrites = feedbackWrites.then(() => new Promise(resolve => chrome.storage.local.get(['feedbackLabels'], (data) => {
+        chrome.storage.local.set({ feedbackLabels: update(data.feedbackLabels || {}) }, resolve);
+    })));
+    return feedbackWrites;
+}
+
+// push every stored change (ours, or synced from another device) to the tabs that registered
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.feedbackLabels) {
+        tabsReady.then(() => {
+            Object.keys(tabStatus).forEach(tabId => {
+                chrome.tabs.sendMessage(Number(tabId), { type: 'feedbackChanged', value: changes.feedbackLabels.newValue || {} }).catch(() => { });
+            });
+        });
+        return;
+    }
+    if (area !== 'sync') return;
+
+    const values = {};
+    Object.keys(changes).forEach(key => {
+        values[key] = changes[key].newValue;
+    });
+
+    Promise.all([settingsReady, tabsReady]).then(() => {
+        Object.assign(settings, values);
+        Object.keys(tabStatus).forEach(tabId => {
+            chrome.tabs.sendMessage(Number(tabId), { type: 'settingsChanged', values }).catch(() => { });
+        });
+    });
+});
+
+function getActiveTab() {
+    return chrome.tabs.query({ active: true, currentWindow: true }).then(tabs => tabs[0] || null);
+}
+
+function hostnameOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (error) {
+        return '';
+    }
+}
+
+function showToast(tab, text) {
+    chrome.tabs.sendMessage(tab.id, { type: 'showToast', value: text }).catch(() => { });
+}
+
+// shortcuts that act on the page's media are carried out by its content script
+function sendPageShortcut(tab, command) {
+    chrome.tabs.sendMessage(tab.id, { type: 'pageShortcut', value: command }).catch(() => { });
+}
+
+// a change made for a tab goes on top of the preset matched there, which a plain push leaves alone
+function notifySettingsEdited(tabId, values) {
+    chrome.tabs.sendMessage(tabId, { type: 'settingsEdited', values }).catch(() => { });
+}
+
+function showSaveError(tab, error) {
+    showToast(tab, `not saved: ${error.message}`);
+}
+
+// set or clear (enabled = null) a site's override of the global switch
+function setSiteProcessing(hostname, enabled) {
+    const siteSettings = { ...(settings.siteSettings || {}) };
+    if (enabled === null) {
+        delete siteSettings[hostname];
+    } else {
+        siteSettings[hostname] = enabled;
+    }
+    return updateSettings({ siteSettings });
+}
+
+// older versions kept the global switch in processingEnabled
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.storage.sync.get(['processingEnabled', 'globalProcessingEnabled'], (data) => {
+        if (data.processingEnabled === undefined) return;
+        if (data.globalProcessingEnabled === undefined) {
+            chrome.storage.sync.set({ globalProcessingEnabled: data.processingEnabled });
+        }
+        chrome.storage.sync.remove('processingEnabled');
+    });
+});
+
+const commandHandlers = {
+    'toggle-processing'(tab) {
+        const hostname = hostnameOf(tab.url);
+        const siteSettings = settings.siteSettings || {};
+        const current = hostname in siteSettings ? siteSettings[hostname] : settings.globalProcessingEnabled !== false;
+        const enabled = !current;
+
+        setSiteProcessing(hostname, enabled).then(
+            () => showToast(tab, `de-click ${enabled ? 'on' : 'off'} for ${hostname}`),
+            error => showSaveError(tab, error)
+        );
+    },
+
+    'toggle-debug'(tab) {
+        const enabled = !settings.debugEnabled;
+        updateSettings({ debugEnabled: enabled }).then(
+            () => showToast(tab, `debug ${enabled ? 'on' : 'off'}`),
+            error => showSaveError(tab, error)
+        );
+    },
+
+    // steps through the modes one at a time, leaving just that mode running
+    'toggle-mode'(tab) {
+        const mode = Modes.next(settings.mode || 'click');
+        updateSettings({ mode, modes: [mode] }).then(
+            () => {
+                notifySettingsEdited(tab.id, { mode, modes: [mode] });
+                showToast(tab, `${Modes.get(mode).label} mode`);
+            },
+            error => showSaveError(tab, error)
+        );
+    },
+
+    'sensitivity-up'(tab) {
+        stepSensitivity(tab, SENSITIVITY_STEP);
+    },
+
+    'sensitivity-down'(tab) {
+        stepSensitivity(tab, -SENSITIVITY_STEP);
+    },
+
+    'toggle-bypass'(tab) {
+        sendPageShortcut(tab, 'toggle-bypass');
+    },
+
+    'toggle-removed'(tab) {
+        sendPageShortcut(tab, 'toggle-removed');
+    },
+
+    'mark-miss'(tab) {
+        sendPageShortcut(tab, 'mark-miss');
+    },
+
+    'mark-speech'(tab) {
+        sendPageShortcut(tab, 'mark-speech');
+    }
+};
+
+function stepSensitivity(tab, step) {
+    const current = settings.sensitivity || 0.8;
+    const [min, max] = SENSITIVITY_RANGE;
+    const sensitivity = Math.round(Math.max(min, Math.min(max, current + step)) * 10) / 10;
+
+    updateSettings({ sensitivity }).then(
+        () => {
+            notifySettingsEdited(tab.id, { sensitivity });
+            showToast(tab, `sensitivity ${sensitivity.toFixed(1)}`);
+        },
+        error => showSaveError(tab, error)
+    );
+}
+
+chrome.commands.onCommand.addListener((command) => {
+    const handler = commandHandlers[command];
+    if (!handler) return;
+
+    Promise.all([settingsReady, tabsReady, getActiveTab()]).then(([, , tab]) => {
+        if (tab) handler(tab);
+    });
+});
+
+// messages from content scripts and the popup
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    switch (message.type) {
+        // a content script starting up gets the current settings and is tracked from now on
+        case 'register':
+            Promise.all([settingsReady, tabsReady]).then(() => {
+                if (sender.tab) {
+                    tabStatus[sender.tab.id] = {
+                        documentId: sender.documentId,
+                        hostname: message.value.hostname,
+                        title: message.value.title,
+                        media: 0,
+                        filtering: 0,
+                        bypassed: 0
+                    };
+                    saveTabStatus();
+                }
+                sendResponse(settings);
+            });
+            return true;
+
+        // a page going away; the entry is left alone if the tab's next page already registered
+        case 'unregister':
+            tabsReady.then(() => {
+                const status = sender.tab && tabStatus[sender.tab.id];
+                if (!status || status.documentId !== sender.documentId) return;
+                delete tabStatus[sender.tab.id];
+                saveTabStatus();
+            });
+            return false;
+
+        case 'getSettings':
+            settingsReady.then(() => sendResponse(settings));
+            return true;
+
+        // the popup names the tab it was opened on
+        case 'setSettings':
+            updateSettings(message.values).then(
+                () => {
+                    if (message.tabId) notifySettingsEdited(message.tabId, message.values);
+                    sendResponse(true);
+                },
+                error => sendResponse({ error: error.message })
+            );
+            return true;
+
+        case 'setSiteProcessing':
+            settingsReady
+                .then(() => setSiteProcessing(message.value.hostname, message.value.enabled))
+                .then(() => sendResponse(true), error => sendResponse({ error: error.message }));
+            return true;
+
+        // a feedback mark from a page, labels are kept per site
+        case 'addFeedback':
+            updateFeedbackLabels(labels => Feedback.addLabel(labels, message.value.hostname, message.value.label))
+                .then(() => sendResponse(true));
+            return true;
+
+        case 'resetFeedback':
+            updateFeedbackLabels(labels => {
+                const remaining = { ...labels };
+                delete remaining[message.value];
+                return remaining;
+            }).then(() => sendResponse(true));
+            return true;
+
+        case 'tabStatus':
+            tabsReady.then(() => {
+                if (!sender.tab) return;
+                tabStatus[sender.tab.id] = { ...tabStatus[sender.tab.id], ...message.value };
+                saveTabStatus();
+            });
+            return false;
+
+        case 'getTabStatus':
+            tabsReady.then(() => {
+                sendResponse(Object.keys(tabStatus).map(tabId => ({ tabId: Number(tabId), ...tabStatus[tabId] })));
+            });
+            return true;
+    }
+    return false;
+});
+
+// forget tabs that closed. a tab that navigates is forgotten when its page unregisters, which
+// single-page sites don't do when they navigate without reloading the content script
+chrome.tabs.onRemoved.addListener((tabId) => {
+    tabsReady.then(() => {
+        delete tabStatus[tabId];
+        saveTabStatus();
+    });
+});
@@ -0,0 +1,176 @@
+// auto-calibration: replays a short recording through the detector across a sweep of
+// settings and proposes the one that lands in the target click rate without firing on speech
+
+// the dsp core is loaded before this file everywhere but node
+if (typeof module !== 'undefined' && module.exports && typeof MouthClickDetector === 'undefined') {
+    globalThis.MouthClickDetector = require('./dsp.js').MouthClickDetector;
+}
+
+const CALIBRATION_SWEEP = {
+    sensitivity: [0.6, 0.8, 1.0, 1.2, 1.5, 1.8],
+    frequencySkew: [-0.5, 0.0, 0.5],
+    mode: ['click', 'smack']
+};
+
+const Calibration = {
+    hopSize: 512, // coarser than the live worklet, every click still spans two frames
+    frameSize: 1024,
+    targetRate: [2, 6], // clicks per second, as the readme recommends
+    maxSpeechProtection: 0.25, // mean protection on detected clicks above this means speech is being hit
+    framesPerSlice: 32, // frames analyzed between yields to the page, a few ms of work
+
+    // every combination of the sweep values; the trigger-sound modes pick what to remove rather
+    // than how, so with one of those selected only that mode is swept
+    candidates(currentMode = 'click') {
+        const modes = CALIBRATION_SWEEP.mode.includes(currentMode) ? CALIBRATION_SWEEP.mode : [currentMode];
+        const list = [];
+        modes.forEach(mode => {
+            CALIBRATION_SWEEP.frequencySkew.forEach(frequencySkew => {
+                CALIBRATION_SWEEP.sensitivity.forEach(sensitivity => {
+                    list.push({ mode, frequencySkew, sensitivity });
+                });
+            });
+        });
+        return list;
+    },
+
+    // spectra only depend on the audio, so they are computed once and shared by every candidate
+    computeSpectra(samples, sampleRate) {
+        const frames = [];
+        this.addSpectra(frames, samples, sampleRate, Infinity);
+        return frames;
+    },
+
+    // append the spectra of up to count more frames; true once the recording is covered
+    addSpectra(frames, samples, sampleRate, count) {
+        const detector = new MouthClickDetector(sampleRate, { frameSize: this.frameSize, hopSize: this.hopSize });
+        let end = this.frameSize + frames.length * this.hopSize;
+        for (let added = 0; added < count && end <= samples.length; added++, end += this.hopSize) {
+            const frame = samples.subarray(end - this.frameSize, end);
+            frames.push({ end, frame, spectrum: detector.computeSpectrum(frame, new Float32Array(detector.frequencyBinCount)) });
+        }
+        return end > samples.length;
+    },
+
+    // run detection only (no repair) and summarize how the candidate behaved
+    evaluate(frames, sampleRate, baseParams, candidate) {
+        const run = this.startRun(sampleRate, baseParams, candidate);
+        this.advanceRun(run, frames, sampleRate, frames.length);
+        return this.summarize(run, frames, sampleRate);
+    },
+
+    // a candidate's detection pass, advanced a slice of frames at a time
+    startRun(sampleRate, baseParams, candidate) {
+        const detector = new MouthClickDetector(sampleRate, { frameSize: this.frameSize, hopSize: this.hopSize });
+        detector.updateParameters({ ...baseParams, ...candidate });
+        return { candidate, detector, position: 0, clicks: 0, protection: 0 };
+    },
+
+    // detect over up to count more frames; true once the run has seen them all
+    advanceRun(run, frames, sampleRate, count) {
+        const last = Math.min(frames.length, run.position + count);
+        for (; run.position < last; run.position++) {
+            const { end, frame, spectrum } = frames[run.position];
+            const result = run.detector.detectMouthClick(frame, spectrum, end / sampleRate * 1000);
+            if (result.isClick) {
+                run.clicks++;
+                run.protection += result.details.speechProtection;
+            }
+        }
+        return run.position >= frames.length;
+    },
+
+    summarize(run, frames, sampleRate) {
+        const duration = frames.length > 0 ? frames[frames.length - 1].end / sampleRate : 1;
+        return {
+            ...run.candidate,
+            clicksPerSecond: run.clicks / duration,
+            speechProtection: run.clicks > 0 ? run.protection / run.clicks : 0
+        };
+    },
+
+    // how far a result is from the target band, with speech hits counted against it
+    score(result) {
+        const [minRate, maxRate] = this.targetRate;
+        const rateDistance = result.clicksPerSecond < minRate ? minRate - result.clicksPerSecond :
+            result.clicksPerSecond > maxRate ? result.clicksPerSecond - maxRate : 0;
+        const speechPenalty = Math.max(0, result.speechProtection - this.maxSpeechProtection) * 10;
+
+        // inside the band, prefer less speech protection and then the middle of the band
+        const middle = (minRate + maxRate) / 2;
+        return rateDistance + speechPenalty + result.speechProtection + Math.abs(result.clicksPerSecond - middle) * 0.01;
+    },
+
+    // how far a candidate is from the current settings; equal scores go to the nearer one, so a
+    // sweep that can't tell settings apart leaves them as they are
+    distance(candidate, params) {
+        return (candidate.mode === params.mode ? 0 : 1) +
+            Math.abs(candidate.frequencySkew - params.frequencySkew) +
+            Math.abs(candidate.sensitivity - params.sensitivity);
+    },
+
+    inTarget(result) {
+        return result.clicksPerSecond >= this.targetRate[0] &&
+            result.clicksPerSecond <= this.targetRate[1] &&
+            result.speechProtection <= this.maxSpeechProtection;
+    },
+
+    // sweep every candidate, then the current settings, over the recording, yielding to the page
+    // every framesPerSlice frames so it keeps playing smoothly; the spectra are computed the same way first
+    sweep(samples, sampleRate, baseParams, onProgress) {
+        const frames = [];
+        const candidates = this.candidates(baseParams.mode);
+        const current = { mode: baseParams.mode, frequencySkew: baseParams.frequencySkew, sensitivity: baseParams.sensitivity };
+        const runs = [...candidates, current];
+        const results = [];
+        let run = null;
+
+        return new Promise(resolve => {
+            const finish = () => {
+                const best = results.slice(0, candidates.length).reduce((a, b) => {
+                    const difference = this.score(b) - this.score(a);
+                    if (difference !== 0) return difference < 0 ? b : a;
+                    return this.distance(b, baseParams) < this.distance(a, baseParams) ? b : a;
+                });
+                resolve({
+                    best: { ...best, inTarget: this.inTarget(best) },
+                    current: results[candidates.length],
+                    targetRate: this.targetRate
+                });
+            };
+
+            let spectraDone = false;
+            const next = () => {
+                if (!spectraDone) {
+                    spectraDone = this.addSpectra(frames, samples, sampleRate, this.framesPerSlice);
+                    setTimeout(next, 0);
+                    return;
+                }
+
+                run = run || this.startRun(sampleRate, baseParams, runs[results.length]);
+                if (this.advanceRun(run, frames, sampleRate, this.framesPerSlice)) {
+                    results.push(this.summarize(run, frames, sampleRate));
+                    run = null;
+                }
+                if (onProgress) {
+                    const done = results.length + (run ? run.position / Math.max(1, frames.length) : 0);
+                    onProgress(done / runs.length);
+                }
+
+                if (results.length < runs.length) {
+                    setTimeout(next, 0);
+                    return;
+                }
+                finish();
+            };
+            next();
+        });
+    }
+};
+
+// expose to the page, or to node for tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CALIBRATION_SWEEP, Calibration };
+} else {
+    globalThis.Calibration = Calibration;
+}
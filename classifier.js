@@ -0,0 +1,84 @@
+// small learned click classifier, an optional detector next to the hand-tuned rules in dsp.js
+// runs inside the audio worklet and under node; the weights come from classifier-weights.json,
+// written by test/train-classifier.js
+//
+// weights file:
+//   features: names of the dsp features the model reads, in input order
+//   mean, scale: standardization of each feature after the signed log below
+//   layers: [{ weights: [[input weights] per unit], bias: [per unit], activation: 'relu' | 'sigmoid' }]
+//           the last layer has a single sigmoid unit, the click probability
+
+const CLASSIFIER_ACTIVATIONS = {
+    relu: x => Math.max(0, x),
+    sigmoid: x => 1 / (1 + Math.exp(-x))
+};
+
+class ClickClassifier {
+    // throws on weights that don't fit together, so a broken file is caught when it loads
+    constructor(weights) {
+        if (!weights || !Array.isArray(weights.features) || !Array.isArray(weights.layers) || weights.layers.length === 0) {
+            throw new Error('classifier weights need features and layers');
+        }
+        const inputs = weights.features.length;
+        if (weights.mean.length !== inputs || weights.scale.length !== inputs) {
+            throw new Error('classifier mean and scale must have one entry per feature');
+        }
+
+        let size = inputs;
+        weights.layers.forEach((layer, i) => {
+            if (!CLASSIFIER_ACTIVATIONS[layer.activation]) {
+                throw new Error(`unknown activation ${layer.activation} in layer ${i}`);
+            }
+            if (layer.bias.length !== layer.weights.length || layer.weights.some(unit => unit.length !== size)) {
+                throw new Error(`layer ${i} doesn't match its ${size} inputs`);
+            }
+            size = layer.weights.length;
+        });
+        if (size !== 1) {
+            throw new Error('the last classifier layer must have a single unit');
+        }
+
+        this.features = weights.features;
+        this.mean = weights.mean;
+        this.scale = weights.scale;
+        this.layers = weights.layers;
+    }
+
+    // features span several orders of magnitude (hz, energy ratios), a signed log evens them out
+    static transform(value) {
+        if (!isFinite(value)) return 0;
+        return Math.sign(value) * Math.log1p(Math.abs(value));
+    }
+
+    // standardized model inputs from a feature object keyed by name; a missing or non-finite
+    // feature reads as its training mean (0 once standardized)
+    inputs(features) {
+        return this.features.map((name, i) => {
+            if (!isFinite(features[name])) return 0;
+            return (ClickClassifier.transform(features[name]) - this.mean[i]) / (this.scale[i] || 1);
+        });
+    }
+
+    // click probability between 0 and 1
+    predict(features) {
+        let values = this.inputs(features);
+        this.layers.forEach(layer => {
+            const activation = CLASSIFIER_ACTIVATIONS[layer.activation];
+            values = layer.weights.map((unit, j) => {
+                let sum = layer.bias[j];
+                for (let i = 0; i < unit.length; i++) {
+                    sum += unit[i] * values[i];
+                }
+                return activation(sum);
+            });
+        });
+        return values[0];
+    }
+}
+
+// expose to the worklet global scope, or to node for offline tooling
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClickClassifier };
+} else {
+    globalThis.ClickClassifier = ClickClassifier;
+}
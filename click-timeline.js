@@ -0,0 +1,150 @@
+// per-element log of processed clicks with a seekable marker strip over the media element
+
+// short names for the detectors reported by the dsp core
+const DETECTOR_LABELS = {
+    lpcOutlier: 'lpc',
+    spectralFlux: 'spectral flux',
+    mouthBandTransient: 'mouth band',
+    highFreqBurst: 'hf burst',
+    amplitudeSpike: 'amplitude spike',
+    classifier: 'model'
+};
+
+// names of the chain's channels, for clicks repaired in one of them only
+const CHANNEL_LABELS = ['left', 'right', 'center', 'lfe', 'surround left', 'surround right', 'side left', 'side right'];
+
+class ClickTimeline {
+    constructor(element) {
+        this.element = element;
+        // a frame's document loses its window when the frame goes, the timeline is torn down after
+        this.view = element.ownerDocument.defaultView;
+        this.events = [];
+        this.maxEvents = 500; // oldest events drop off on long sessions
+        this.seekPreroll = 0.5; // seek slightly before a click so it can be heard in context
+
+        this.enabled = false;
+        this.container = null;
+        this.frameRequest = null;
+        this.renderedDuration = 0;
+    }
+
+    // record a processed click at the given media time
+    addEvent(event) {
+        this.events.push({
+            time: event.time,
+            confidence: event.confidence,
+            mode: event.mode,
+            channels: event.channels || [],
+            detectors: (event.detectors || []).map(name => DETECTOR_LABELS[name] || name)
+        });
+        if (this.events.length > this.maxEvents) {
+            this.events.shift();
+        }
+
+        if (this.enabled) {
+            this.renderMarkers();
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (enabled && !this.container) {
+            this.createOverlay();
+            this.renderMarkers();
+            this.trackPosition();
+        } else if (!enabled && this.container) {
+            this.view.cancelAnimationFrame(this.frameRequest);
+            this.container.remove();
+            this.container = null;
+        }
+    }
+
+    createOverlay() {
+        const doc = this.element.ownerDocument;
+        const container = doc.createElement('div');
+        container.className = 'misophonia-click-timeline';
+        container.style.cssText = `
+            position: fixed;
+            height: 8px;
+            z-index: 9998;
+            pointer-events: none;
+            background: rgba(102, 126, 234, 0.35);
+            border-radius: 4px;
+            display: none;
+        `;
+        doc.body.appendChild(container);
+        this.container = container;
+    }
+
+    // follow the element as the page scrolls or resizes
+    trackPosition() {
+        const update = () => {
+            if (!this.container) return;
+
+            const rect = this.element.getBoundingClientRect();
+            const visible = this.element.isConnected && rect.width >= 50 && rect.height >= 20;
+            this.container.style.display = visible ? 'block' : 'none';
+            if (visible) {
+                this.container.style.left = `${rect.left}px`;
+                this.container.style.top = `${rect.top + 4}px`;
+                this.container.style.width = `${rect.width}px`;
+            }
+
+            // markers are laid out in percent, so only a new duration needs a re-render
+            if (!Object.is(this.element.duration, this.renderedDuration)) {
+                this.renderMarkers();
+            }
+
+            this.frameRequest = this.view.requestAnimationFrame(update);
+        };
+        update();
+    }
+
+    renderMarkers() {
+        if (!this.container) return;
+
+        const doc = this.element.ownerDocument;
+        const duration = this.element.duration;
+        this.renderedDuration = duration;
+        this.container.replaceChildren();
+
+        // live streams have no fixed length to place markers along
+        if (!isFinite(duration) || duration <= 0) return;
+
+        this.events.forEach(event => {
+            const color = event.confidence > 0.7 ? '#ff4444' :
+                event.confidence > 0.4 ? '#ffaa44' : '#44ff44';
+
+            const marker = doc.createElement('div');
+            marker.style.cssText = `
+                position: absolute;
+                left: ${Math.min(100, event.time / duration * 100)}%;
+                top: 0;
+                width: 3px;
+                height: 100%;
+                margin-left: -1px;
+                background: ${color};
+                border-radius: 1px;
+                cursor: pointer;
+                pointer-events: auto;
+            `;
+            marker.title = `${event.time.toFixed(2)}s · ${event.mode} · ${(event.confidence * 100).toFixed(0)}%` +
+                (event.channels.length === 1 ? ` · ${CHANNEL_LABELS[event.channels[0]] || `channel ${event.channels[0] + 1}`}` : '') +
+                (event.detectors.length > 0 ? ` · ${event.detectors.join(', ')}` : '');
+            marker.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.seekTo(event.time);
+            });
+            this.container.appendChild(marker);
+        });
+    }
+
+    seekTo(time) {
+        this.element.currentTime = Math.max(0, time - this.seekPreroll);
+    }
+
+    destroy() {
+        this.setEnabled(false);
+    }
+}
@@ -0,0 +1,467 @@
+// floating debug panel for one processing chain: a scrolling spectrogram with the mouth band
+// marked, the input waveform, the lpc prediction error against its adaptive threshold, and a
+// marker for every report where a click was processed or dropped by the rate limiter
+// below the trace, a strip shows what the speech analysis (speech.js) heard: voiced or unvoiced,
+// with ticks at plosive and fricative onsets, and the speech protection it came to
+//
+// processed clicks are drawn in the color of the mode that caught them (modes.js)
+
+const DEBUG_PANEL_COLORS = {
+    rateLimited: '#ff6666',
+    waveform: 'rgba(255, 255, 255, 0.35)',
+    error: '#66e0ff',
+    threshold: '#ffaa44',
+    voiced: '#55cc77',
+    unvoiced: '#aa88ff',
+    onset: '#ffffff',
+    protection: '#dddddd'
+};
+
+// spectrogram palette from silence to loud, interpolated linearly
+const SPECTROGRAM_STOPS = [
+    [20, 12, 40],
+    [80, 40, 140],
+    [190, 60, 150],
+    [255, 150, 80],
+    [255, 240, 180]
+];
+
+class DebugPanel {
+    constructor(options = {}) {
+        this.chainId = options.id || 1;
+        this.label = options.label || 'media';
+        this.sampleRate = options.sampleRate || 48000;
+
+        // every report is one column; 2px at ~50ms per report shows about 7s in a 300px panel
+        this.columnWidth = 2;
+        this.maxHistory = 1000;
+        this.history = [];
+        this.reportCount = 0;
+
+        // frequency range shown by the spectrogram and the band to highlight
+        this.maxFrequency = Math.min(12000, this.sampleRate / 2);
+        this.mouthBand = options.mouthBand || { min: 2000, max: 5000 };
+
+        // db ranges mapped onto the spectrogram colors and the error trace height
+        this.spectrumRange = [-110, -20];
+        this.errorRange = [-80, -10];
+
+        this.createElement();
+    }
+
+    createElement() {
+        const panel = document.createElement('div');
+        panel.id = `click-debug-${this.chainId}`;
+        panel.style.cssText = `
+            position: fixed;
+            right: 15px;
+            bottom: ${15 + ((this.chainId - 1) % 5) * 30}px;
+            z-index: 9999;
+            width: 300px;
+            height: 230px;
+            min-width: 180px;
+            min-height: 150px;
+            display: flex;
+            flex-direction: column;
+            box-sizing: border-box;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 6px 8px 8px 8px;
+            border-radius: 8px;
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            font-size: 10px;
+            box-shadow: 0 4px 20px rgba(0,0,0,0.4);
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            resize: both;
+            overflow: hidden;
+        `;
+
+        // the header is the drag handle
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding-bottom: 4px;
+            margin-bottom: 4px;
+            border-bottom: 1px solid rgba(255,255,255,0.3);
+            cursor: move;
+            user-select: none;
+        `;
+        const badge = document.createElement('span');
+        badge.textContent = 'debug';
+        badge.style.cssText = `
+            background: rgba(255,255,255,0.1);
+            padding: 1px 6px;
+            border-radius: 12px;
+            font-size: 9px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        `;
+        this.modeText = document.createElement('span');
+        this.modeText.style.opacity = '0.8';
+        this.labelText = document.createElement('span');
+        this.labelText.textContent = this.label;
+        this.labelText.title = this.label;
+        this.labelText.style.cssText = `
+            margin-left: auto;
+            max-width: 120px;
+            opacity: 0.7;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        `;
+        header.append(badge, this.modeText, this.labelText);
+
+        // the spectrogram scrolls by copying itself, the trace is redrawn from history each report
+        const plots = document.createElement('div');
+        plots.style.cssText = `
+            flex: 1;
+            min-height: 0;
+            display: flex;
+            flex-direction: column;
+            gap: 2px;
+        `;
+        this.spectrogram = document.createElement('canvas');
+        this.spectrogram.style.cssText = 'flex: 3 1 0; min-height: 0; width: 100%; border-radius: 3px; background: rgb(20, 12, 40);';
+        this.trace = document.createElement('canvas');
+        this.trace.style.cssText = 'flex: 2 1 0; min-height: 0; width: 100%; border-radius: 3px; background: rgba(0, 0, 0, 0.25);';
+        plots.append(this.spectrogram, this.trace);
+
+        // numbers that used to make up the whole overlay, updated in place
+        const stats = document.createElement('div');
+        stats.style.cssText = `
+            display: flex;
+            gap: 8px;
+            margin-top: 4px;
+            white-space: nowrap;
+            overflow: hidden;
+        `;
+        this.statFields = {};
+        ['confidence', 'speech', 'voicing', 'rate', 'dropped', 'clicks', 'caught'].forEach(name => {
+            const field = document.createElement('span');
+            stats.appendChild(field);
+            this.statFields[name] = field;
+        });
+
+        // one entry per active mode, filled in once the first report says which are running
+        this.legend = document.createElement('div');
+        this.legend.style.cssText = 'display: flex; gap: 8px; font-size: 9px; opacity: 0.85; white-space: nowrap; overflow: hidden;';
+        this.legendModes = '';
+
+        panel.append(header, plots, stats, this.legend);
+        document.body.appendChild(panel);
+        this.element = panel;
+
+        this.enableDragging(header);
+
+        // the panel is resized with its corner handle, the canvases follow at pixel resolution
+        this.resizeObserver = new ResizeObserver(() => this.resizeCanvases());
+        this.resizeObserver.observe(plots);
+        this.resizeCanvases();
+    }
+
+    // move the panel by its header, kept inside the viewport so it can't be lost off screen
+    enableDragging(handle) {
+        let offsetX = 0;
+        let offsetY = 0;
+
+        const move = (e) => {
+            const maxLeft = window.innerWidth - this.element.offsetWidth;
+            const maxTop = window.innerHeight - this.element.offsetHeight;
+            this.element.style.left = `${Math.max(0, Math.min(maxLeft, e.clientX - offsetX))}px`;
+            this.element.style.top = `${Math.max(0, Math.min(maxTop, e.clientY - offsetY))}px`;
+        };
+
+        const stop = (e) => {
+            handle.releasePointerCapture(e.pointerId);
+            handle.removeEventListener('pointermove', move);
+            handle.removeEventListener('pointerup', stop);
+        };
+
+        handle.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+
+            // switch from the initial corner anchoring to explicit coordinates
+            const rect = this.element.getBoundingClientRect();
+            this.element.style.left = `${rect.left}px`;
+            this.element.style.top = `${rect.top}px`;
+            this.element.style.right = 'auto';
+            this.element.style.bottom = 'auto';
+            offsetX = e.clientX - rect.left;
+            offsetY = e.clientY - rect.top;
+
+            handle.setPointerCapture(e.pointerId);
+            handle.addEventListener('pointermove', move);
+            handle.addEventListener('pointerup', stop);
+        });
+    }
+
+    resizeCanvases() {
+        [this.spectrogram, this.trace].forEach(canvas => {
+            const width = Math.max(1, Math.round(canvas.clientWidth));
+            const height = Math.max(1, Math.round(canvas.clientHeight));
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+        });
+
+        // resizing clears a canvas, so rebuild the visible part of the spectrogram from history
+        const columns = Math.ceil(this.spectrogram.width / this.columnWidth);
+        const visible = this.history.slice(-columns);
+        const context = this.spectrogram.getContext('2d');
+        context.clearRect(0, 0, this.spectrogram.width, this.spectrogram.height);
+        visible.forEach((entry, i) => {
+            const x = this.spectrogram.width - (visible.length - i) * this.columnWidth;
+            this.drawSpectrogramColumn(context, entry, x);
+        });
+        this.drawTrace();
+    }
+
+    // a worklet detection report, roughly every 50ms
+    addReport(report, state) {
+        const details = report.details || {};
+        const entry = {
+            index: this.reportCount++,
+            spectrum: report.spectrum || null,
+            waveMin: report.waveform ? report.waveform.min : 0,
+            waveMax: report.waveform ? report.waveform.max : 0,
+            error: report.errorEnvelope || details.errorRMS || 0,
+            threshold: details.errorThreshold || 0,
+            voicing: details.speech ? details.speech.voicing : 'silence',
+            protection: details.speechProtection || 0,
+            onset: !!(report.speechOnsets && report.speechOnsets.length > 0),
+            processed: !!report.isClick,
+            rateLimited: !!report.rateLimited,
+            // the mode that caught the click; several firing at once share a column, the first wins
+            color: report.clickModes && report.clickModes.length > 0 ?
+                Modes.get(report.clickModes[0]).color : DEBUG_PANEL_COLORS.rateLimited
+        };
+        this.history.push(entry);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+
+        this.scrollSpectrogram(entry);
+        this.drawTrace();
+        this.updateStats(report, state);
+    }
+
+    scrollSpectrogram(entry) {
+        const canvas = this.spectrogram;
+        if (canvas.width <= this.columnWidth) return;
+
+        const context = canvas.getContext('2d');
+        context.drawImage(canvas, -this.columnWidth, 0);
+        this.drawSpectrogramColumn(context, entry, canvas.width - this.columnWidth);
+    }
+
+    drawSpectrogramColumn(context, entry, x) {
+        const height = this.spectrogram.height;
+        const width = this.columnWidth;
+        const column = context.createImageData(width, height);
+        const data = column.data;
+
+        const binHz = this.sampleRate / 2 / (entry.spectrum ? entry.spectrum.length : 1);
+        const [floor, ceiling] = this.spectrumRange;
+        const bandTop = Math.round((1 - this.mouthBand.max / this.maxFrequency) * height);
+        const bandBottom = Math.round((1 - this.mouthBand.min / this.maxFrequency) * height);
+
+        for (let row = 0; row < height; row++) {
+            let rgb = SPECTROGRAM_STOPS[0];
+            if (entry.spectrum) {
+                const frequency = this.maxFrequency * (1 - (row + 0.5) / height);
+                const db = entry.spectrum[Math.min(entry.spectrum.length - 1, Math.floor(frequency / binHz))];
+                rgb = this.paletteColor((db - floor) / (ceiling - floor));
+            }
+
+            let [r, g, b] = rgb;
+            if (row === bandTop || row === bandBottom) {
+                // band edges form two dotted lines as the columns scroll
+                if (entry.index % 3 !== 0) [r, g, b] = [255, 255, 255];
+            } else if (row > bandTop && row < bandBottom) {
+                // lift the mouth band slightly so clicks inside it stand out
+                r = Math.min(255, r + 25);
+                g = Math.min(255, g + 25);
+                b = Math.min(255, b + 25);
+            }
+
+            // the top rows mark processed and dropped clicks
+            if (row < 3 && (entry.processed || entry.rateLimited)) {
+                [r, g, b] = this.hexColor(entry.processed ? entry.color : DEBUG_PANEL_COLORS.rateLimited);
+            }
+
+            for (let c = 0; c < width; c++) {
+                const i = (row * width + c) * 4;
+                data[i] = r;
+                data[i + 1] = g;
+                data[i + 2] = b;
+                data[i + 3] = 255;
+            }
+        }
+
+        context.putImageData(column, x, 0);
+    }
+
+    hexColor(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    paletteColor(t) {
+        const clamped = Math.max(0, Math.min(1, t)) * (SPECTROGRAM_STOPS.length - 1);
+        const index = Math.min(SPECTROGRAM_STOPS.length - 2, Math.floor(clamped));
+        const fraction = clamped - index;
+        const from = SPECTROGRAM_STOPS[index];
+        const to = SPECTROGRAM_STOPS[index + 1];
+        return [0, 1, 2].map(k => Math.round(from[k] + (to[k] - from[k]) * fraction));
+    }
+
+    // waveform, prediction error envelope and threshold, newest report at the right edge
+    drawTrace() {
+        const canvas = this.trace;
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        context.clearRect(0, 0, width, height);
+
+        const columns = Math.ceil(width / this.columnWidth);
+        const visible = this.history.slice(-columns);
+        const xOf = (i) => width - (visible.length - i) * this.columnWidth;
+
+        // click markers behind the traces
+        visible.forEach((entry, i) => {
+            if (!entry.processed && !entry.rateLimited) return;
+            context.fillStyle = entry.processed ? entry.color : DEBUG_PANEL_COLORS.rateLimited;
+            context.globalAlpha = entry.processed ? 0.8 : 0.5;
+            context.fillRect(xOf(i), 0, this.columnWidth, height);
+        });
+        context.globalAlpha = 1;
+
+        // waveform as min/max bars around the centre line
+        const middle = height / 2;
+        context.fillStyle = DEBUG_PANEL_COLORS.waveform;
+        visible.forEach((entry, i) => {
+            const top = middle - Math.min(1, entry.waveMax) * middle;
+            const bottom = middle - Math.max(-1, entry.waveMin) * middle;
+            context.fillRect(xOf(i), top, this.columnWidth, Math.max(1, bottom - top));
+        });
+
+        // error and threshold share a db scale
+        const [floor, ceiling] = this.errorRange;
+        const yOf = (value) => {
+            const db = value > 0 ? 20 * Math.log10(value) : floor;
+            return height - Math.max(0, Math.min(1, (db - floor) / (ceiling - floor))) * height;
+        };
+        const line = (key, color, dash) => {
+            context.strokeStyle = color;
+            context.lineWidth = 1;
+            context.setLineDash(dash);
+            context.beginPath();
+            visible.forEach((entry, i) => {
+                const x = xOf(i) + this.columnWidth / 2;
+                if (i === 0) context.moveTo(x, yOf(entry[key]));
+                else context.lineTo(x, yOf(entry[key]));
+            });
+            context.stroke();
+        };
+        line('error', DEBUG_PANEL_COLORS.error, []);
+        line('threshold', DEBUG_PANEL_COLORS.threshold, [3, 2]);
+
+        // speech strip along the bottom, and the protection over the full height
+        const strip = 3;
+        visible.forEach((entry, i) => {
+            if (entry.voicing !== 'silence') {
+                context.fillStyle = DEBUG_PANEL_COLORS[entry.voicing];
+                context.fillRect(xOf(i), height - strip, this.columnWidth, strip);
+            }
+            if (entry.onset) {
+                context.fillStyle = DEBUG_PANEL_COLORS.onset;
+                context.fillRect(xOf(i), height - strip * 3, this.columnWidth, strip * 2);
+            }
+        });
+        context.strokeStyle = DEBUG_PANEL_COLORS.protection;
+        context.setLineDash([1, 2]);
+        context.beginPath();
+        visible.forEach((entry, i) => {
+            const x = xOf(i) + this.columnWidth / 2;
+            const y = height - strip - entry.protection * (height - strip);
+            if (i === 0) context.moveTo(x, y);
+            else context.lineTo(x, y);
+        });
+        context.stroke();
+        context.setLineDash([]);
+    }
+
+    updateStats(report, state) {
+        const confidence = report.confidence * 100;
+        const details = report.details || {};
+        const speech = isFinite(details.speechProtection) ? details.speechProtection * 100 : 0;
+        const analysis = details.speech;
+        const rateLimit = report.rateLimit || { clicksThisSecond: 0, maxClicksPerSecond: 8, dropped: 0 };
+
+        const modes = state.modes || ['click'];
+        this.modeText.textContent = modes.map(id => Modes.get(id).label).join(' + ');
+        this.updateLegend(modes);
+
+        this.statFields.confidence.textContent = `conf ${confidence.toFixed(0)}%`;
+        this.statFields.confidence.style.color = confidence > 70 ? '#ff4444' :
+            confidence > 40 ? '#ffaa44' : '#44ff44';
+        this.statFields.speech.textContent = `speech ${speech.toFixed(0)}%`;
+        if (analysis) {
+            const { voiced, fricative, plosive } = analysis.components;
+            this.statFields.speech.title = `protection from voicing ${(voiced * 100).toFixed(0)}%, ` +
+                `frication ${(fricative * 100).toFixed(0)}%, plosives ${(plosive * 100).toFixed(0)}%`;
+
+            // pitch while voiced, and any onset since the last report
+            const onsets = report.speechOnsets || [];
+            const voicing = analysis.voicing === 'voiced' ? `voiced ${analysis.pitch.toFixed(0)}hz` : analysis.voicing;
+            this.statFields.voicing.textContent = onsets.length > 0 ? `${voicing} +${onsets.join(' +')}` : voicing;
+            this.statFields.voicing.style.color = DEBUG_PANEL_COLORS[analysis.voicing] || '';
+            this.statFields.voicing.title = `periodicity ${(analysis.periodicity * 100).toFixed(0)}%, ` +
+                `pitch stability ${(analysis.pitchStability * 100).toFixed(0)}%, ` +
+                `${(analysis.level - analysis.noiseFloor).toFixed(0)}db over the noise floor`;
+        }
+        this.statFields.rate.textContent = `rate ${rateLimit.clicksThisSecond}/${rateLimit.maxClicksPerSecond}`;
+        this.statFields.rate.style.color = rateLimit.clicksThisSecond >= rateLimit.maxClicksPerSecond * 0.8 ? '#ff6666' : '';
+        this.statFields.dropped.textContent = `dropped ${rateLimit.dropped || 0}`;
+        this.statFields.dropped.title = 'detections turned away by the rate limiter';
+        this.statFields.clicks.textContent = `clicks ${state.clickCount}`;
+
+        // which modes caught the latest click, kept until the next one
+        if (report.clickModes && report.clickModes.length > 0) {
+            this.statFields.caught.textContent = `by ${report.clickModes.map(id => Modes.get(id).label).join(', ')}`;
+            this.statFields.caught.style.color = Modes.get(report.clickModes[0]).color;
+        }
+    }
+
+    // a swatch per active mode, then the fixed trace colors
+    updateLegend(modes) {
+        const key = modes.join(',');
+        if (key === this.legendModes) return;
+        this.legendModes = key;
+
+        this.legend.textContent = '';
+        [
+            ...modes.map(id => [Modes.get(id).label, Modes.get(id).color]),
+            ['rate limited', DEBUG_PANEL_COLORS.rateLimited],
+            ['lpc error', DEBUG_PANEL_COLORS.error],
+            ['threshold', DEBUG_PANEL_COLORS.threshold],
+            ['voiced', DEBUG_PANEL_COLORS.voiced],
+            ['unvoiced', DEBUG_PANEL_COLORS.unvoiced],
+            ['onset', DEBUG_PANEL_COLORS.onset],
+            ['protection', DEBUG_PANEL_COLORS.protection]
+        ].forEach(([text, color]) => {
+            const item = document.createElement('span');
+            item.textContent = `▮ ${text}`;
+            item.style.color = color;
+            this.legend.appendChild(item);
+        });
+    }
+
+    destroy() {
+        this.resizeObserver.disconnect();
+        this.element.remove();
+    }
+}
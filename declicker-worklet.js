@@ -0,0 +1,663 @@
+// audio worklet processor running mouth click detection on every render quantum
+// output 0 carries one gain offset signal per channel, wired into that channel's clickGain.gain and
+// aligned sample-for-sample with the delayNode lookahead (0 = unity gain, negative values duck)
+// output 1 is the input delayed by the same lookahead with detected clicks rebuilt by interpolation
+// output 2 is the dynamic eq cut in db per channel for the mouth band stages, aligned the same way (0 = flat)
+// output 3 carries one gain offset per channel and multiband repair band, channel by channel
+// input 0 is the chain's input mixed to its channels, input 1 the source as it comes, only counted
+// every active mode runs its own detector on an analysis frame and repairs its own way; linked
+// channels share one frame (the downmix) and one repair, split channels each get their own. the
+// measurements that don't depend on the mode are made once per frame and shared by its detectors
+
+class MouthDeClickProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const processorOptions = options.processorOptions || {};
+
+        // audio channels of the chain, a mono input feeds all of them; a source wider than the chain
+        // is reported once per width so the page can rebuild it
+        this.channelCount = processorOptions.channels || 2;
+        this.reportedChannels = this.channelCount;
+
+        // multiband repair bands, in the channel order of output 3
+        this.repairBands = processorOptions.repairBands || [];
+
+        // the dynamic eq cut comes in within a few ms and lets go slowly so the band doesn't pump
+        this.eqAttack = 1 - Math.exp(-1 / (0.005 * sampleRate));
+        this.eqRelease = 1 - Math.exp(-1 / (0.04 * sampleRate));
+
+        // raw mono input recorded on request for calibration
+        this.capture = null;
+        this.captureLength = 0;
+
+        this.enabled = processorOptions.enabled !== false;
+        this.debugEnabled = !!processorOptions.debugEnabled;
+
+        // trained classifier shared by the mode detectors; without usable weights they keep to the rules
+        this.classifier = null;
+        if (processorOptions.classifierWeights) {
+            try {
+                this.classifier = new ClickClassifier(processorOptions.classifierWeights);
+            } catch (error) {
+                this.classifier = null;
+            }
+        }
+
+        // computes the shared spectrum, interpolates repairs and holds the current params; the
+        // latency profile sets its frame size
+        this.detector = new MouthClickDetector(sampleRate, { hopSize: 128 });
+        if (processorOptions.params) {
+            this.detector.updateParameters(processorOptions.params);
+        }
+        this.samplePosition = 0;
+        this.pendingLatency = null;
+        this.configureLatency(processorOptions.latency);
+
+        // debug reports are throttled to roughly every 50ms and summarize the quanta since the last one
+        this.statsInterval = Math.max(1, Math.round(sampleRate * 0.05 / 128));
+        this.quantumCounter = 0;
+        this.resetReport();
+
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'params':
+                this.detector.updateParameters(message.value);
+                this.syncLanes();
+                break;
+            case 'latency':
+                // { id, time }: switch on the render quantum the main thread moves the delay line on
+                this.pendingLatency = message.value;
+                break;
+            case 'enabled':
+                this.enabled = message.value;
+                this.lanes.forEach(lane => lane.modeDetectors.forEach(detector => {
+                    detector.processingEnabled = message.value;
+                }));
+                if (!message.value) {
+                    this.feedbackFrames = [];
+                    this.envelopes.forEach(envelope => envelope.fill(1));
+                    this.bandEnvelopes.forEach(envelopes => envelopes.forEach(envelope => envelope.fill(1)));
+                    this.eqDepth.forEach(depth => depth.fill(0));
+                    this.pendingRepairs = [];
+                }
+                break;
+            case 'debug':
+                this.debugEnabled = message.value;
+                break;
+            case 'capture':
+                this.capture = new Float32Array(Math.round(message.value * sampleRate));
+                this.captureLength = 0;
+                break;
+            case 'feedback':
+                this.port.postMessage({ type: 'feedback', value: this.pickFeedbackFrame(message.value) });
+                break;
+        }
+    }
+
+    // size the lookahead, analysis frames and repair state for a latency profile (an id from
+    // latency.js). the detectors start over, the audio, envelopes and queued repairs are carried
+    // into the new rings so the output keeps playing through the switch
+    configureLatency(id) {
+        this.latency = Latency.get(id);
+        const perChannel = (create) => Array.from({ length: this.channelCount }, create);
+
+        if (this.detector.frameSize !== this.latency.frameSize) {
+            const params = this.detector.params;
+            this.detector = new MouthClickDetector(sampleRate, { frameSize: this.latency.frameSize, hopSize: 128 });
+            this.detector.updateParameters(params);
+        }
+
+        // lookahead in samples, must match delayNode.delayTime on the main thread
+        const previousLookahead = this.lookaheadSamples;
+        this.lookaheadSamples = Math.round(this.latency.lookahead * sampleRate);
+
+        // sliding analysis frames of the downmix and of each channel, their newest sample sits at
+        // samplePosition - 1; a switch keeps the newest samples so the detectors don't see an onset
+        const slide = (previous) => {
+            const frame = new Float32Array(this.detector.frameSize);
+            if (previous) {
+                const kept = previous.subarray(Math.max(0, previous.length - frame.length));
+                frame.set(kept, frame.length - kept.length);
+            }
+            return frame;
+        };
+        this.frame = slide(this.frame);
+        this.channelFrames = perChannel((_, c) => slide(this.channelFrames && this.channelFrames[c]));
+
+        // repair envelope ring indexed by absolute input sample position
+        // sized to hold the lookahead, one analysis frame and the longest repair tail
+        const minSize = this.lookaheadSamples + this.detector.frameSize + Math.ceil(sampleRate * 0.25);
+        let envelopeSize = 1;
+        while (envelopeSize < minSize) envelopeSize <<= 1;
+
+        if (this.envelopes) {
+            // the audio ring keeps the input the longer delay replays; the envelopes keep what is
+            // still to leave the delay line, a shorter lookahead skips what it jumps over
+            const position = this.samplePosition;
+            const audioStart = position - Math.min(this.envelopeMask + 1, envelopeSize);
+            const envelopeStart = position - Math.min(previousLookahead, this.lookaheadSamples);
+            const envelopeEnd = position - previousLookahead + this.envelopeMask + 1;
+            const carry = (ring, start, end, fill) => this.carryRing(ring, envelopeSize, start, end, fill);
+
+            this.envelopes = this.envelopes.map(envelope => carry(envelope, envelopeStart, envelopeEnd, 1));
+            this.audioRing = this.audioRing.map(ring => carry(ring, audioStart, position, 0));
+            this.bandEnvelopes = this.bandEnvelopes.map(envelopes => envelopes.map(envelope => carry(envelope, envelopeStart, envelopeEnd, 1)));
+            this.eqDepth = this.eqDepth.map(depth => carry(depth, envelopeStart, envelopeEnd, 0));
+            this.envelopeMask = envelopeSize - 1;
+
+            // a queued repair still has to run before its region leaves the new delay line
+            this.pendingRepairs = this.pendingRepairs.filter(repair =>
+                repair.end + repair.contextLength <= repair.start + this.lookaheadSamples - 256);
+        } else {
+            // one per channel, like every repair state below
+            this.envelopes = perChannel(() => new Float32Array(envelopeSize).fill(1));
+            this.envelopeMask = envelopeSize - 1;
+
+            // delayed copy of the input for interpolation repair, same indexing as the envelope
+            this.audioRing = perChannel(() => new Float32Array(envelopeSize));
+            this.pendingRepairs = [];
+
+            // gain envelope per multiband repair band
+            this.bandEnvelopes = perChannel(() => this.repairBands.map(() => new Float32Array(envelopeSize).fill(1)));
+
+            // dynamic eq cut (db) each sample asks for, and the smoothed cut actually sent out
+            this.eqDepth = perChannel(() => new Float32Array(envelopeSize));
+            this.eqLevel = new Float32Array(this.channelCount);
+        }
+
+        // recent detection frames a feedback mark can point at: the lookahead the listener is
+        // behind the analysis, plus the time it takes them to react
+        this.feedbackFrames = [];
+        this.feedbackWindow = this.lookaheadSamples + Math.round(0.8 * sampleRate);
+
+        // analysis lanes, one for linked channels or one per split channel:
+        // { channels, frame, analyzer, modeDetectors (mode id -> detector) }
+        this.lanes = [];
+        this.syncLanes();
+    }
+
+    // a ring of the given size holding the samples at positions [start, end) of one indexed
+    // like the envelopes, the rest filled with fill
+    carryRing(ring, size, start, end, fill) {
+        const resized = new Float32Array(size).fill(fill);
+        for (let p = start; p < Math.min(end, start + size); p++) {
+            resized[p & (size - 1)] = ring[p & this.envelopeMask];
+        }
+        return resized;
+    }
+
+    // linked channels are analyzed as their downmix and repaired together; split channels are
+    // analyzed one by one so a click in one ear is repaired in that ear only. the lanes are rebuilt
+    // when the channel mode changes, the frames they read are kept up either way
+    syncLanes() {
+        const split = this.detector.params.channelMode === 'split' && this.channelCount > 1;
+        if (this.lanes.length === 0 || this.splitChannels !== split) {
+            this.splitChannels = split;
+            this.lanes = split ?
+                this.channelFrames.map((frame, c) => this.createLane([c], frame)) :
+                [this.createLane(this.channelFrames.map((frame, c) => c), this.frame)];
+        }
+        this.lanes.forEach(lane => this.syncModeDetectors(lane));
+    }
+
+    // the mode detectors of a lane all see the same frame, the lane's analyzer measures it for them
+    // (speech analysis included) and keeps the loudness and spectrum history that goes with it
+    createLane(channels, frame) {
+        const analyzer = new MouthClickDetector(sampleRate, { frameSize: this.detector.frameSize, hopSize: 128 });
+        return { channels, frame, analyzer, modeDetectors: new Map() };
+    }
+
+    // one detector per active mode; a detector keeps its loudness and rate limit history
+    // for as long as its mode stays active
+    syncModeDetectors(lane) {
+        const params = this.detector.params;
+        const modes = Modes.resolve(params.modes, params.mode);
+
+        lane.modeDetectors.forEach((detector, mode) => {
+            if (!modes.includes(mode)) lane.modeDetectors.delete(mode);
+        });
+        modes.forEach(mode => {
+            if (!lane.modeDetectors.has(mode)) {
+                const detector = new MouthClickDetector(sampleRate, { frameSize: this.detector.frameSize, hopSize: 128 });
+                detector.processingEnabled = this.enabled;
+                detector.setClassifier(this.classifier);
+                lane.modeDetectors.set(mode, detector);
+            }
+            lane.modeDetectors.get(mode).updateParameters({ ...params, mode });
+        });
+    }
+
+    // gain at time t (seconds) relative to the click, same shape the old clickGain automation used
+    repairGainAt(t, floor, fadeIn, widening, fadeOut) {
+        if (t < -fadeIn) return 1.0;
+        if (t < 0) return 1.0 + (floor - 1.0) * (t + fadeIn) / fadeIn; // gentle pre-fade
+        if (t < widening) return floor; // hold reduced level during click
+
+        // very smooth restoration to prevent audio artifacts
+        const release = t - widening;
+        if (release < fadeOut * 0.3) return floor + (0.6 - floor) * release / (fadeOut * 0.3);
+        if (release < fadeOut * 0.7) return 0.6 + 0.25 * (release - fadeOut * 0.3) / (fadeOut * 0.4);
+        if (release < fadeOut) return 0.85 + 0.15 * (release - fadeOut * 0.7) / (fadeOut * 0.3);
+        return 1.0;
+    }
+
+    // schedule the configured repair around the click's absolute sample position on the lane's
+    // channels, shaped by the mode that detected it
+    scheduleRepair(position, mode, result, lane) {
+        const params = this.detector.params;
+        const profile = Modes.get(mode);
+        const repair = profile.repair;
+
+        // calculate click widening duration based on mode and user setting
+        const baseWidening = Math.max(params.clickWidening, profile.minWidening) / 1000; // convert ms to seconds
+        let wideningDuration = baseWidening * repair.wideningScale;
+
+        // calculate reduction amount with safety checks, never deeper than the mode allows
+        const reductionAmount = Math.max(params.reductionAmount, repair.maxReduction);
+        let reductionFactor = reductionAmount <= -60 ?
+            0.0001 : // complete removal
+            Math.pow(10, reductionAmount / 20); // partial reduction
+
+        if (!isFinite(reductionFactor) || reductionFactor <= 0) {
+            reductionFactor = 0.0001;
+        }
+        if (!isFinite(wideningDuration) || wideningDuration <= 0) {
+            wideningDuration = 0.005; // 5ms fallback
+        }
+
+        const method = params.repairMethod || 'duck';
+
+        // the eq follows detection confidence on every frame instead (trackEqDepth)
+        if (method === 'eq') return;
+
+        // dip only the bands the click raised, or every band if none of them can be told apart
+        if (method === 'multiband') {
+            const bandRise = result.details.bandRise;
+            const bands = bandRise ? lane.modeDetectors.get(mode).selectRepairBands(bandRise) : [];
+            const indices = bands.filter(band => this.repairBands.includes(band)).map(band => this.repairBands.indexOf(band));
+            lane.channels.forEach(c => {
+                const envelopes = indices.length > 0 ? indices.map(b => this.bandEnvelopes[c][b]) : this.bandEnvelopes[c];
+                envelopes.forEach(envelope => {
+                    this.writeDuckEnvelope(position, wideningDuration, Math.max(0.1, reductionFactor), repair.releaseScale, envelope);
+                });
+            });
+            return;
+        }
+
+        if (method === 'interpolate' || method === 'hybrid') {
+            // interpolation leaves a scaled residual of the click, hybrid rebuilds it completely
+            const residual = method === 'hybrid' || reductionFactor <= 0.0001 ? 0 : reductionFactor;
+            const queued = this.queueInterpolation(position, wideningDuration, residual, lane.channels);
+
+            // hybrid adds a dip at half the reduction depth on top of the rebuilt audio
+            if (method === 'hybrid') {
+                lane.channels.forEach(c => {
+                    this.writeDuckEnvelope(position, wideningDuration, Math.max(0.3, Math.sqrt(reductionFactor)), repair.releaseScale, this.envelopes[c]);
+                });
+            }
+
+            // lookahead too short to interpolate, fall back to ducking
+            if (queued) return;
+        }
+
+        lane.channels.forEach(c => {
+            this.writeDuckEnvelope(position, wideningDuration, Math.max(0.1, reductionFactor), repair.releaseScale, this.envelopes[c]);
+        });
+    }
+
+    // write a repair dip into an envelope, releaseScale stretches the fade back to unity
+    writeDuckEnvelope(position, wideningDuration, floor, releaseScale, envelope) {
+        const fadeInTime = Math.max(this.latency.preFade, wideningDuration * 0.5);
+        const fadeOutTime = Math.max(0.02, wideningDuration * 1.5) * releaseScale;
+
+        // never touch samples that have already left the delay line
+        const firstWritable = this.samplePosition - this.lookaheadSamples;
+        const start = Math.max(firstWritable, Math.floor(position - fadeInTime * sampleRate));
+        const end = Math.ceil(position + (wideningDuration + fadeOutTime) * sampleRate);
+
+        for (let p = start; p < end; p++) {
+            const gain = this.repairGainAt((p - position) / sampleRate, floor, fadeInTime, wideningDuration, fadeOutTime);
+            const index = p & this.envelopeMask;
+            envelope[index] = Math.min(envelope[index], gain);
+        }
+    }
+
+    // dynamic eq: cut the mouth band around each detection, as deep as its confidence asks for.
+    // a detection starts cutting at the confidence the rate limiter requires and reaches full depth
+    // at twice that, the depth being the reduction setting within the mode's limit. rate limits
+    // don't apply, a band cut held across a run of detections doesn't stutter the way dips do
+    trackEqDepth(results) {
+        const params = this.detector.params;
+        results.forEach(({ mode, result, lane }) => {
+            if (!result.detected) return;
+
+            const required = lane.modeDetectors.get(mode).requiredConfidence();
+            const amount = Math.max(0, Math.min(1, (result.confidence - required) / required));
+            const maxCut = Math.max(params.reductionAmount, Modes.get(mode).repair.maxReduction, -40);
+            const depth = amount * maxCut;
+            if (depth >= 0) return;
+
+            // the same region a dip would cover, the release is left to the smoothing in process()
+            const profile = Modes.get(mode);
+            const widening = Math.max(params.clickWidening, profile.minWidening) / 1000 * profile.repair.wideningScale;
+            const position = this.samplePosition - 1 - result.clickOffset;
+            const start = Math.max(this.samplePosition - this.lookaheadSamples, position - Math.round(0.005 * sampleRate));
+            const end = position + Math.round(widening * sampleRate);
+            lane.channels.forEach(c => {
+                const eqDepth = this.eqDepth[c];
+                for (let p = start; p < end; p++) {
+                    const index = p & this.envelopeMask;
+                    eqDepth[index] = Math.min(eqDepth[index], depth);
+                }
+            });
+        });
+    }
+
+    // queue an interpolation of the click region in the given channels, to run once enough audio
+    // after it has arrived
+    queueInterpolation(position, wideningDuration, residual, channels) {
+        const order = this.detector.interpolationOrder;
+        const start = position - Math.round(0.001 * sampleRate); // clicks rise fast, keep a 1ms margin
+        const end = position + Math.max(1, Math.round(wideningDuration * sampleRate));
+        const gapLength = end - start;
+
+        // context on each side, limited so the repair runs before the region leaves the delay line
+        // (one quantum of slack for when the repair runs, one for the current output block)
+        const available = this.lookaheadSamples - gapLength - 256;
+        const contextLength = Math.min(Math.max(gapLength * this.latency.contextGaps, order * 8), available);
+        if (contextLength < order * 2 || start < this.samplePosition - this.lookaheadSamples + 256) return false;
+
+        this.pendingRepairs.push({ start, end, contextLength, residual, channels });
+        return true;
+    }
+
+    // rebuild queued click regions in the audio ring once their right context is available
+    runPendingRepairs() {
+        const stillPending = [];
+        for (const repair of this.pendingRepairs) {
+            if (this.samplePosition < repair.end + repair.contextLength) {
+                stillPending.push(repair);
+                continue;
+            }
+
+            const bufferStart = repair.start - repair.contextLength;
+            const bufferLength = repair.end + repair.contextLength - bufferStart;
+            const gapStart = repair.contextLength;
+            const gapEnd = gapStart + repair.end - repair.start;
+
+            for (const c of repair.channels) {
+                const ring = this.audioRing[c];
+                const buffer = new Float32Array(bufferLength);
+                for (let i = 0; i < bufferLength; i++) {
+                    buffer[i] = ring[(bufferStart + i) & this.envelopeMask];
+                }
+
+                const interpolated = this.detector.interpolateAudioSegment(gapStart, gapEnd, buffer);
+                for (let i = 0; i < interpolated.length; i++) {
+                    const original = buffer[gapStart + i];
+                    const index = (repair.start + i) & this.envelopeMask;
+                    ring[index] = interpolated[i] + (original - interpolated[i]) * repair.residual;
+                }
+            }
+        }
+        this.pendingRepairs = stillPending;
+    }
+
+    // keep each mode's frame result for feedback marks, dropping those older than the window
+    recordFeedbackFrames(results) {
+        results.forEach(({ mode, result, lane }) => {
+            this.feedbackFrames.push({
+                position: this.samplePosition,
+                mode,
+                repaired: result.isClick,
+                margin: result.confidence / lane.modeDetectors.get(mode).requiredConfidence(),
+                features: result.details.features
+            });
+        });
+
+        const oldest = this.samplePosition - this.feedbackWindow;
+        let expired = 0;
+        while (expired < this.feedbackFrames.length && this.feedbackFrames[expired].position < oldest) expired++;
+        if (expired > 0) this.feedbackFrames.splice(0, expired);
+    }
+
+    // a missed click is the most confident frame that fell short of the confidence a click needs
+    // (frames held back by the rate limits only sit next to a repaired click), speech taken for a
+    // click the most confident repaired frame
+    pickFeedbackFrame(kind) {
+        const candidates = this.feedbackFrames.filter(frame => kind === 'speech' ? frame.repaired : frame.margin < 1);
+        if (candidates.length === 0) return null;
+
+        const frame = candidates.reduce((a, b) => b.margin > a.margin ? b : a);
+        return { kind, mode: frame.mode, margin: frame.margin, features: frame.features };
+    }
+
+    // start a new debug report interval
+    resetReport() {
+        this.clickModes = new Set();
+        this.limitedModes = new Set();
+        this.waveMin = 0;
+        this.waveMax = 0;
+        this.errorSinceReport = 0;
+        this.speechOnsets = new Set();
+    }
+
+    // append the mono downmix to a pending capture and hand it over once full
+    recordCapture(samples) {
+        const count = Math.min(samples.length, this.capture.length - this.captureLength);
+        this.capture.set(samples.subarray(0, count), this.captureLength);
+        this.captureLength += count;
+
+        if (this.captureLength >= this.capture.length) {
+            this.port.postMessage({ type: 'capture', samples: this.capture, sampleRate }, [this.capture.buffer]);
+            this.capture = null;
+        }
+    }
+
+    analyzeQuantum(channels) {
+        const quantumSize = channels.length > 0 ? channels[0].length : 128;
+        const frame = this.frame;
+
+        // slide the frames and append this quantum, as a mono downmix and channel by channel
+        // (a mono input fills every channel)
+        frame.copyWithin(0, quantumSize);
+        const writeOffset = frame.length - quantumSize;
+        for (let i = 0; i < quantumSize; i++) {
+            let sum = 0;
+            for (let c = 0; c < channels.length; c++) {
+                sum += channels[c][i];
+            }
+            frame[writeOffset + i] = channels.length > 0 ? sum / channels.length : 0;
+        }
+        this.channelFrames.forEach((channelFrame, c) => {
+            const channel = channels[Math.min(c, channels.length - 1)];
+            channelFrame.copyWithin(0, quantumSize);
+            if (channel) {
+                channelFrame.set(channel, writeOffset);
+            } else {
+                channelFrame.fill(0, writeOffset);
+            }
+        });
+
+        // keep the raw input for interpolation repair
+        for (let c = 0; c < this.audioRing.length; c++) {
+            const channelFrame = this.channelFrames[c];
+            const ring = this.audioRing[c];
+            for (let i = 0; i < quantumSize; i++) {
+                ring[(this.samplePosition + i) & this.envelopeMask] = channelFrame[writeOffset + i];
+            }
+        }
+        this.samplePosition += quantumSize;
+
+        if (this.capture) {
+            this.recordCapture(frame.subarray(writeOffset));
+        }
+
+        if (!this.enabled) return;
+
+        const streamTime = this.samplePosition / sampleRate * 1000;
+        this.quantumCounter++;
+        const reporting = this.debugEnabled && this.quantumCounter % this.statsInterval === 0;
+
+        // run every lane's mode detectors; the most confident one is what the debug view shows
+        let result = null;
+        let resultMode = null;
+        let spectrum = null;
+        const fired = [];
+        const results = [];
+        this.lanes.forEach(lane => {
+            const freqData = this.detector.computeSpectrum(lane.frame);
+            const analysis = lane.analyzer.analyzeFrame(lane.frame, freqData, streamTime);
+            lane.modeDetectors.forEach((detector, mode) => {
+                const modeResult = detector.detectMouthClick(lane.frame, freqData, streamTime, analysis);
+                results.push({ mode, result: modeResult, lane });
+                if (!result || modeResult.confidence > result.confidence) {
+                    result = modeResult;
+                    resultMode = mode;
+                    // the spectrum buffer is reused by the detector, so the panel gets its own copy
+                    if (reporting) spectrum = Float32Array.from(freqData);
+                }
+                if (modeResult.isClick) fired.push({ mode, result: modeResult, lane });
+
+                if (this.debugEnabled) {
+                    this.errorSinceReport = Math.max(this.errorSinceReport, modeResult.details.errorRMS || 0);
+                    if (modeResult.rateLimited) this.limitedModes.add(mode);
+                }
+            });
+        });
+
+        if (this.debugEnabled) {
+            // onsets last a single hop, so every one since the last report is passed on
+            if (result && result.details.speech && result.details.speech.onset) {
+                this.speechOnsets.add(result.details.speech.onset);
+            }
+            for (let i = writeOffset; i < frame.length; i++) {
+                this.waveMin = Math.min(this.waveMin, frame[i]);
+                this.waveMax = Math.max(this.waveMax, frame[i]);
+            }
+        }
+
+        if (this.detector.params.repairMethod === 'eq') {
+            this.trackEqDepth(results);
+        }
+        this.recordFeedbackFrames(results);
+
+        if (fired.length > 0) {
+            // each mode repairs with its own widening and depth, overlapping dips take the deeper one
+            fired.forEach(({ mode, result: modeResult, lane }) => {
+                this.scheduleRepair(this.samplePosition - 1 - modeResult.clickOffset, mode, modeResult, lane);
+                this.clickModes.add(mode);
+            });
+
+            // modes and channels firing on the same frame caught the same sound, so it is one
+            // event attributed to the most confident of them
+            const strongest = fired.reduce((a, b) => b.result.confidence > a.result.confidence ? b : a);
+            const position = this.samplePosition - 1 - strongest.result.clickOffset;
+            const firedChannels = new Set();
+            fired.forEach(entry => entry.lane.channels.forEach(c => firedChannels.add(c)));
+
+            // context time at which the repaired click leaves the delay line
+            const playbackTime = currentTime + (position + this.lookaheadSamples - (this.samplePosition - quantumSize)) / sampleRate;
+            this.port.postMessage({
+                type: 'click',
+                mode: strongest.mode,
+                modes: Array.from(new Set(fired.map(entry => entry.mode))),
+                channels: Array.from(firedChannels).sort((a, b) => a - b),
+                confidence: strongest.result.confidence,
+                detectors: strongest.result.detectors,
+                playbackTime
+            });
+        }
+
+        this.runPendingRepairs();
+
+        if (reporting && result) {
+            // rate limit usage summed over the active modes of every lane
+            const rateLimit = { clicksThisSecond: 0, maxClicksPerSecond: 0, dropped: 0 };
+            this.lanes.forEach(lane => lane.modeDetectors.forEach(detector => {
+                rateLimit.clicksThisSecond += detector.clickHistory.length;
+                rateLimit.maxClicksPerSecond += detector.clickBudget.maxClicksPerSecond;
+                rateLimit.dropped += detector.droppedClicks;
+            }));
+
+            this.port.postMessage({
+                type: 'detection',
+                value: {
+                    ...result,
+                    mode: resultMode,
+                    isClick: this.clickModes.size > 0,
+                    rateLimited: this.limitedModes.size > 0 && this.clickModes.size === 0,
+                    clickModes: Array.from(this.clickModes),
+                    limitedModes: Array.from(this.limitedModes),
+                    waveform: { min: this.waveMin, max: this.waveMax },
+                    errorEnvelope: this.errorSinceReport,
+                    speechOnsets: Array.from(this.speechOnsets),
+                    spectrum,
+                    rateLimit
+                }
+            }, [spectrum.buffer]);
+            this.resetReport();
+        }
+    }
+
+    process(inputs, outputs) {
+        const input = inputs[0] || [];
+        const gainOutput = outputs[0];
+        const repairedOutput = outputs[1];
+        const eqOutput = outputs[2];
+        const bandOutput = outputs[3];
+        const bandCount = this.repairBands.length;
+        const quantumStart = this.samplePosition;
+
+        if (this.pendingLatency && currentTime >= this.pendingLatency.time - 0.5 / sampleRate) {
+            this.configureLatency(this.pendingLatency.id);
+            this.pendingLatency = null;
+        }
+
+        const sourceChannels = inputs[1] ? inputs[1].length : 0;
+        if (sourceChannels > this.reportedChannels) {
+            this.reportedChannels = sourceChannels;
+            this.port.postMessage({ type: 'channels', value: sourceChannels });
+        }
+
+        this.analyzeQuantum(input);
+
+        // emit the envelopes and repaired audio for the samples currently leaving the delay line
+        for (let i = 0; i < gainOutput[0].length; i++) {
+            const delayedPosition = quantumStart + i - this.lookaheadSamples;
+            if (delayedPosition < 0) {
+                outputs.forEach(output => output.forEach(channel => {
+                    channel[i] = 0;
+                }));
+                continue;
+            }
+            const index = delayedPosition & this.envelopeMask;
+            for (let c = 0; c < this.channelCount; c++) {
+                const envelope = this.envelopes[c];
+                gainOutput[c][i] = envelope[index] - 1.0;
+                envelope[index] = 1.0;
+
+                for (let b = 0; b < bandCount; b++) {
+                    const bandEnvelope = this.bandEnvelopes[c][b];
+                    bandOutput[c * bandCount + b][i] = bandEnvelope[index] - 1.0;
+                    bandEnvelope[index] = 1.0;
+                }
+
+                const eqDepth = this.eqDepth[c];
+                const eqTarget = eqDepth[index];
+                eqDepth[index] = 0;
+                this.eqLevel[c] += (eqTarget - this.eqLevel[c]) * (eqTarget < this.eqLevel[c] ? this.eqAttack : this.eqRelease);
+                eqOutput[c][i] = this.eqLevel[c];
+
+                repairedOutput[c][i] = this.audioRing[c][index];
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('mouth-declick-processor', MouthDeClickProcessor);
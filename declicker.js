@@ -0,0 +1,778 @@
+// mouth de-click processing chain shared by the content script and the offline file page
+
+// the mode and latency registries are loaded before this file everywhere but node
+if (typeof module !== 'undefined' && module.exports && typeof Modes === 'undefined') {
+    globalThis.Modes = require('./modes.js').Modes;
+}
+if (typeof module !== 'undefined' && module.exports && typeof Latency === 'undefined') {
+    globalThis.Latency = require('./latency.js').Latency;
+}
+
+// Debug configuration
+const DEBUG = false;
+
+function log(...args) {
+    if (DEBUG) console.log(...args);
+}
+
+function handleError(error, context) {
+    if (DEBUG) console.error(`Error in ${context}:`, error);
+}
+
+// stored settings every chain reads on startup
+const SETTING_KEYS = [
+    'debugEnabled', 'globalProcessingEnabled', 'siteSettings',
+    'mode', 'modes', 'sensitivity', 'frequencySkew', 'clickWidening', 'reductionAmount', 'repairMethod', 'rateLimits',
+    'detectionMethod', 'channelMode', 'latencyProfile'
+];
+
+// tap gains for each monitoring mode: the processed signal, the delayed original, or
+// the delayed original minus the processed signal (only what the repair removed)
+const MONITOR_TAPS = {
+    processed: { processed: 1, dry: 0 },
+    bypass: { processed: 0, dry: 1 },
+    delta: { processed: -1, dry: 1 }
+};
+
+// dynamic eq: peaking stages splitting the mouth band (freqBands.mouth in dsp.js) evenly on a log
+// scale, their cut driven by the worklet's third output; at 0db a stage passes audio unchanged
+const EQ_BAND = { min: 2000, max: 5000 };
+const EQ_STAGE_COUNT = 2;
+
+// the chain runs with as many channels as its source, at least stereo (mono sources are copied to
+// both channels at the input) and at most 7.1. every channel has its own repair gains, so a click
+// can be repaired in one ear only
+const MIN_CHANNEL_COUNT = 2;
+const MAX_CHANNEL_COUNT = 8;
+
+// multiband repair: linkwitz-riley crossovers at the edges of the detector's bands, giving low,
+// mid, mouth and high bands (named after freqBands in dsp.js) that each get their own repair gain
+const MULTIBAND_CROSSOVERS = [800, 2000, 5000];
+const MULTIBAND_BANDS = ['low', 'mid', 'mouth', 'high'];
+// web audio reads a lowpass or highpass q in db, an allpass q as a plain ratio; butterworth is 1/sqrt(2)
+const BUTTERWORTH_Q_DB = 20 * Math.log10(Math.SQRT1_2);
+
+// worklet modules are loaded once per audio context and shared by every chain
+const workletModules = new WeakMap();
+
+function loadWorkletModules(context) {
+    if (!workletModules.has(context)) {
+        const worklet = context.audioWorklet;
+        workletModules.set(context, worklet.addModule(chrome.runtime.getURL('modes.js'))
+            .then(() => worklet.addModule(chrome.runtime.getURL('latency.js')))
+            .then(() => worklet.addModule(chrome.runtime.getURL('speech.js')))
+            .then(() => worklet.addModule(chrome.runtime.getURL('dsp.js')))
+            .then(() => worklet.addModule(chrome.runtime.getURL('classifier.js')))
+            .then(() => worklet.addModule(chrome.runtime.getURL('declicker-worklet.js'))));
+    }
+    return workletModules.get(context);
+}
+
+// trained classifier weights, fetched once per page; null when the file is missing or broken,
+// in which case the worklet's detectors stay on their rules
+let classifierWeights = null;
+
+function loadClassifierWeights() {
+    if (!classifierWeights) {
+        classifierWeights = fetch(chrome.runtime.getURL('classifier-weights.json'))
+            .then(response => response.json())
+            .catch((error) => {
+                handleError(error, 'loadClassifierWeights');
+                return null;
+            });
+    }
+    return classifierWeights;
+}
+
+class AdvancedMouthDeClicker {
+    constructor(context, options = {}) {
+        // initialize audio context and processing nodes
+        this.audioContext = context;
+        this.clickCount = 0;
+        this.destroyed = false;
+
+        // identifies this chain when several media elements are processed
+        this.chainId = options.id || 1;
+        this.label = options.label || 'media';
+
+        // called with { playbackTime, confidence, mode, modes, channels, detectors } for every processed
+        // click, mode being the one that caught it, modes every one that fired and channels the
+        // channel indices repaired
+        this.onClick = options.onClick || null;
+
+        // called with the source's channel count when the worklet finds it wider than this chain,
+        // which can only be rebuilt wider (see channelCount below)
+        this.onChannelCount = options.onChannelCount || null;
+
+        // settles a captureInput() request ({ resolve, reject }) when the worklet sends the samples
+        // back or the chain is destroyed first
+        this.pendingCapture = null;
+
+        // resolves a captureFeedback() request with the frame the worklet picked
+        this.pendingFeedback = null;
+
+        // pages without a video to overlay (offline file processing) skip the debug display
+        this.debugOverlay = options.debugOverlay !== false;
+
+        // 'live', 'video' or 'audio' (see MediaDiscovery.contentType), what the 'auto' latency
+        // profile goes by; latencyProfile is the profile in use
+        this.contentType = options.contentType || 'video';
+        this.latencyProfile = null;
+
+        // settings store (read only, the background worker writes settings) and site key,
+        // injectable so the chain can be built outside a browser
+        this.storage = options.storage || chrome.storage.sync;
+        this.hostname = options.hostname || window.location.hostname;
+
+        this.sampleRate = context.sampleRate;
+
+        // channels of the chain, the source's when the caller knows it; the input mixes the source
+        // to this many channels
+        this.channelCount = Math.max(MIN_CHANNEL_COUNT, Math.min(MAX_CHANNEL_COUNT, options.channels || MIN_CHANNEL_COUNT));
+        this.sourceNode = null;
+
+        // core processing nodes
+        this.inputGain = this.audioContext.createGain();
+        this.outputGain = this.audioContext.createGain();
+        this.inputGain.channelCount = this.channelCount;
+        this.inputGain.channelCountMode = 'explicit';
+        this.inputGain.channelInterpretation = 'speakers';
+
+        // lookahead buffer, its length set by the latency profile (applyLatency)
+        this.delayNode = this.audioContext.createDelay(Latency.maxLookahead());
+
+        // detection runs in an audio worklet; its first output drives each channel's clickGain.gain,
+        // its second carries the delayed audio with clicks rebuilt by interpolation, its third the
+        // eq cut in db per channel and its fourth one gain offset per channel and multiband repair
+        // band. splitters hand each of those channels to its own param
+        this.processorNode = null;
+        this.processorSplitters = [];
+
+        // taps choosing between the plain delayed signal and the worklet's repaired signal
+        this.delayTap = this.audioContext.createGain();
+        this.repairTap = this.audioContext.createGain();
+        this.repairTap.gain.value = 0;
+
+        // the repair stages run per channel between a splitter and a merger: a gain stage, then
+        // frequency-selective repair, flat unless repairMethod is 'eq'
+        this.channelSplitter = this.audioContext.createChannelSplitter(this.channelCount);
+        this.channelMerger = this.audioContext.createChannelMerger(this.channelCount);
+        this.channelStages = Array.from({ length: this.channelCount }, () => ({
+            clickGain: this.audioContext.createGain(),
+            eqStages: this.createEqStages(),
+            bandGains: MULTIBAND_BANDS.map(() => this.audioContext.createGain())
+        }));
+
+        // multiband repair path, taking over from delayTap when repairMethod is 'multiband';
+        // each band is split into channels whose gains the worklet drives the way clickGain.gain is
+        this.multibandTap = this.audioContext.createGain();
+        this.multibandTap.gain.value = 0;
+        this.crossover = this.createCrossover();
+        this.bandSplitters = MULTIBAND_BANDS.map(() => this.audioContext.createChannelSplitter(this.channelCount));
+
+        // the bands sum back to the input passed through one allpass per crossover; the dry tap
+        // takes the same phase while the multiband path plays, so 'delta' still nulls
+        this.dryDirect = this.audioContext.createGain();
+        this.dryPhased = this.audioContext.createGain();
+        this.dryPhased.gain.value = 0;
+        this.dryAllpasses = MULTIBAND_CROSSOVERS.map(frequency => this.createFilter('allpass', frequency, Math.SQRT1_2));
+
+        // monitoring taps after the repair; the dry tap skips it but keeps the same delay
+        this.processedTap = this.audioContext.createGain();
+        this.dryTap = this.audioContext.createGain();
+        this.dryTap.gain.value = 0;
+        this.monitoring = 'processed';
+
+        // set up audio processing chain
+        this.inputGain.connect(this.delayNode);
+        this.delayNode.connect(this.delayTap);
+        this.delayNode.connect(this.multibandTap);
+        this.delayNode.connect(this.dryDirect);
+        this.dryAllpasses.reduce((node, stage) => node.connect(stage), this.delayNode).connect(this.dryPhased);
+        this.dryDirect.connect(this.dryTap);
+        this.dryPhased.connect(this.dryTap);
+        this.multibandTap.connect(this.crossover.input);
+        this.crossover.bands.forEach((band, i) => band.connect(this.bandSplitters[i]));
+        this.delayTap.connect(this.channelSplitter);
+        this.repairTap.connect(this.channelSplitter);
+        this.channelStages.forEach((stage, c) => {
+            this.channelSplitter.connect(stage.clickGain, c);
+            stage.bandGains.forEach((bandGain, i) => {
+                this.bandSplitters[i].connect(bandGain, c);
+                bandGain.connect(stage.clickGain);
+            });
+            stage.eqStages.reduce((node, eqStage) => node.connect(eqStage), stage.clickGain).connect(this.channelMerger, 0, c);
+        });
+        this.channelMerger.connect(this.processedTap);
+        this.processedTap.connect(this.outputGain);
+        this.dryTap.connect(this.outputGain);
+        this.outputGain.connect(this.audioContext.destination);
+
+        this.debugPanel = null;
+        this.debugEnabled = false;
+        this.processingEnabled = true;
+
+        // advanced mouth de-click parameters
+        this.params = {
+            // sensitivity control (0.1 to 2.0, default 1.0)
+            sensitivity: 1.0,
+            
+            // frequency skew (-1.0 to 1.0, 0 = mouth focus, negative = low freq, positive = high freq)
+            frequencySkew: 0.0,
+            
+            // click widening in milliseconds (1-20ms, default 5ms)
+            clickWidening: 5.0,
+            
+            // reduction amount in db (-60 to 0, default -inf for complete removal)
+            reductionAmount: -60,
+            
+            // active modes, ids from the mode registry (modes.js), each run by its own detector;
+            // mode is the first of them, for whatever needs a single one (calibration)
+            modes: ['click'],
+            mode: 'click',
+            
+            // repair method: 'duck' dips the clickGains, 'interpolate' rebuilds the click from
+            // the surrounding audio, 'hybrid' rebuilds it and applies a gentler dip on top,
+            // 'eq' cuts the mouth band as deep as detection confidence asks for,
+            // 'multiband' dips only the crossover bands the click raised
+            repairMethod: 'duck',
+
+            // detection method: 'rules' uses the hand-tuned thresholds, 'model' the trained
+            // classifier (classifier.js), 'ensemble' both of them
+            detectionMethod: 'rules',
+
+            // 'linked' detects on the downmix and repairs both channels together, 'split' detects
+            // and repairs each channel on its own (clicks in one ear of a binaural recording)
+            channelMode: 'linked',
+
+            // latency profile, an id from latency.js or 'auto' to pick one by content type
+            latencyProfile: 'auto',
+            
+            // conservative detection thresholds (prevent over-processing)
+            thresholds: {
+                lpcError: 0.018,       // more conservative prediction error threshold
+                spectralFlux: 0.16,    // higher spectral change threshold
+                transientRatio: 2.8,   // more selective transient detection
+                mouthBandEnergy: 0.012, // higher energy threshold
+                confidenceThreshold: 0.65, // higher confidence required
+                dynamicRange: 2.5,     // dynamic range multiplier
+                adaptiveBoost: 1.0     // adaptive boost factor
+            },
+
+            // per-site factor on the thresholds from the user's feedback labels (feedback.js)
+            feedbackScale: 1.0,
+            
+            // frequency weighting for detection
+            freqWeights: {
+                low: 0.2,    // 100-800 hz
+                mid: 0.6,    // 800-2500 hz  
+                high: 1.0,   // 2500-8000 hz
+                mouth: 1.5   // 2000-5000 hz (primary mouth click range)
+            },
+
+            // rate limiting per mode (clicks per second, ms between clicks, ms of suppression after one)
+            rateLimits: Modes.defaultRateLimits()
+        };
+
+        // untouched copy, so presets can be applied and removed cleanly
+        this.defaultParams = JSON.parse(JSON.stringify(this.params));
+        this.applyLatency();
+
+        this.smoothedValues = {
+            confidence: 0,
+            lowToHighRatio: 0,
+            midToLowRatio: 0,
+            rms: 0
+        };
+        this.smoothingFactor = 0.85;
+
+        // load advanced user settings
+        this.settingsReady = new Promise(resolve => this.storage.get(SETTING_KEYS, (data) => {
+            // debug settings
+            if (data.debugEnabled && this.debugOverlay) {
+                this.createDebugDisplay();
+                this.debugEnabled = true;
+            }
+
+            // processing enabled state
+            this.processingEnabled = this.resolveProcessingEnabled(data);
+
+            // load advanced parameters
+            this.assignSettings(data);
+            
+            this.syncProcessor();
+            this.updateRepairRouting();
+            this.applyLatency();
+
+            if (DEBUG) {
+                log('Advanced parameters loaded:', this.params);
+            }
+            resolve();
+        }));
+    }
+
+    // the global switch sets the default, a stored per-site override wins over it
+    resolveProcessingEnabled(data) {
+        const siteSettings = data.siteSettings || {};
+        return this.hostname in siteSettings ?
+            siteSettings[this.hostname] :
+            data.globalProcessingEnabled !== false;
+    }
+
+    // copy stored settings or preset params into params
+    assignSettings(data) {
+        // a single mode (older settings, presets) selects just that mode
+        if (data.modes || data.mode) {
+            this.params.modes = Modes.resolve(data.modes, data.mode);
+            this.params.mode = this.params.modes[0];
+        }
+        if (data.sensitivity) this.params.sensitivity = data.sensitivity;
+        if (data.frequencySkew !== undefined) this.params.frequencySkew = data.frequencySkew;
+        if (data.clickWidening) this.params.clickWidening = data.clickWidening;
+        if (data.reductionAmount !== undefined) this.params.reductionAmount = data.reductionAmount;
+        if (data.repairMethod) this.params.repairMethod = data.repairMethod;
+        if (data.detectionMethod) this.params.detectionMethod = data.detectionMethod;
+        if (data.channelMode) this.params.channelMode = data.channelMode;
+        if (data.latencyProfile) this.params.latencyProfile = data.latencyProfile;
+        if (data.thresholds) Object.assign(this.params.thresholds, data.thresholds);
+        if (data.rateLimits) {
+            Object.keys(data.rateLimits).forEach(mode => {
+                this.params.rateLimits[mode] = { ...this.params.rateLimits[mode], ...data.rateLimits[mode] };
+            });
+        }
+    }
+
+    // rebuild params from defaults and stored settings, with an optional preset on top
+    applySettings(data, presetParams = null) {
+        // the feedback scale belongs to the site, not to the settings or the preset
+        const feedbackScale = this.params.feedbackScale;
+        this.params = JSON.parse(JSON.stringify(this.defaultParams));
+        this.params.feedbackScale = feedbackScale;
+        this.assignSettings(data);
+        if (presetParams) this.assignSettings(presetParams);
+
+        this.postToProcessor('params', this.params);
+        this.updateRepairRouting();
+        this.applyLatency();
+    }
+
+    // move the delay line and the worklet to the profile the setting picks for this content.
+    // the output dips while the delay jumps, so the switch doesn't click. until the worklet is
+    // running the delay is just set: the worklet takes the profile from its options
+    applyLatency() {
+        const profile = Latency.resolve(this.params.latencyProfile, this.contentType);
+        if (profile === this.latencyProfile) return;
+
+        const lookahead = Latency.get(profile).lookahead;
+        let switchTime = 0;
+        if (this.latencyProfile === null || !this.processorNode) {
+            this.delayNode.delayTime.value = lookahead;
+        } else {
+            // the jump lands on a render quantum boundary, the worklet switches on that quantum
+            const now = this.audioContext.currentTime;
+            const quantum = 128 / this.audioContext.sampleRate;
+            switchTime = now + Math.ceil(0.03 / quantum) * quantum;
+            this.outputGain.gain.setTargetAtTime(0, now, 0.005);
+            this.delayNode.delayTime.setValueAtTime(lookahead, switchTime);
+            this.outputGain.gain.setTargetAtTime(1, switchTime, 0.005);
+        }
+        this.latencyProfile = profile;
+        this.postToProcessor('latency', { id: profile, time: switchTime });
+    }
+
+    createFilter(type, frequency, Q) {
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = frequency;
+        filter.Q.value = Q;
+        filter.gain.value = 0;
+        return filter;
+    }
+
+    // peaking stages covering EQ_BAND, each centred on its share of the band with a matching q
+    createEqStages() {
+        const ratio = Math.pow(EQ_BAND.max / EQ_BAND.min, 1 / EQ_STAGE_COUNT);
+        const stages = [];
+        for (let i = 0; i < EQ_STAGE_COUNT; i++) {
+            const low = EQ_BAND.min * Math.pow(ratio, i);
+            const high = low * ratio;
+            const frequency = Math.sqrt(low * high);
+            stages.push(this.createFilter('peaking', frequency, frequency / (high - low)));
+        }
+        return stages;
+    }
+
+    // 4th order linkwitz-riley crossover tree: each split takes two butterworth lowpasses off the
+    // rest, and the band below also passes an allpass for every crossover above it so all bands
+    // share the same phase and sum back flat
+    createCrossover() {
+        const input = this.audioContext.createGain();
+        const nodes = [input];
+        const chain = (from, filters) => {
+            nodes.push(...filters);
+            return filters.reduce((node, filter) => node.connect(filter), from);
+        };
+
+        const bands = [];
+        let rest = input;
+        MULTIBAND_CROSSOVERS.forEach((frequency, i) => {
+            const lowpass = [0, 1].map(() => this.createFilter('lowpass', frequency, BUTTERWORTH_Q_DB));
+            const allpasses = MULTIBAND_CROSSOVERS.slice(i + 1).map(above => this.createFilter('allpass', above, Math.SQRT1_2));
+            bands.push(chain(rest, [...lowpass, ...allpasses]));
+            rest = chain(rest, [0, 1].map(() => this.createFilter('highpass', frequency, BUTTERWORTH_Q_DB)));
+        });
+        bands.push(rest);
+
+        return { input, bands, nodes };
+    }
+
+    // load the dsp core and worklet into the context, then attach the detection node
+    loadProcessor() {
+        if (this.processorReady) return this.processorReady;
+
+        this.processorReady = Promise.all([loadWorkletModules(this.audioContext), loadClassifierWeights()])
+            .then(([, weights]) => {
+                if (this.destroyed) return;
+
+                // the second input takes the source as it comes, only to count its channels
+                const channels = this.channelCount;
+                this.processorNode = new AudioWorkletNode(this.audioContext, 'mouth-declick-processor', {
+                    numberOfInputs: 2,
+                    numberOfOutputs: 4,
+                    outputChannelCount: [channels, channels, channels, channels * MULTIBAND_BANDS.length],
+                    channelCount: channels,
+                    channelCountMode: 'max',
+                    processorOptions: {
+                        latency: this.latencyProfile,
+                        channels,
+                        repairBands: MULTIBAND_BANDS,
+                        classifierWeights: weights,
+                        params: this.params,
+                        enabled: this.processingEnabled,
+                        debugEnabled: this.debugEnabled
+                    }
+                });
+                this.processorNode.port.onmessage = (event) => this.handleProcessorMessage(event.data);
+
+                // analysis sees the undelayed input, the gain offset lands on the delayed signal
+                this.inputGain.connect(this.processorNode);
+                if (this.sourceNode) this.sourceNode.connect(this.processorNode, 0, 1);
+                this.processorNode.connect(this.repairTap, 1);
+                const outputs = [[0, channels], [2, channels], [3, channels * MULTIBAND_BANDS.length]];
+                const [gainSplitter, eqSplitter, bandSplitter] = outputs.map(([output, channels]) => {
+                    const splitter = this.audioContext.createChannelSplitter(channels);
+                    this.processorNode.connect(splitter, output);
+                    return splitter;
+                });
+                this.channelStages.forEach((stage, c) => {
+                    gainSplitter.connect(stage.clickGain.gain, c);
+                    stage.eqStages.forEach(eqStage => eqSplitter.connect(eqStage.gain, c));
+                    stage.bandGains.forEach((bandGain, i) => bandSplitter.connect(bandGain.gain, c * MULTIBAND_BANDS.length + i));
+                });
+                this.processorSplitters = [gainSplitter, eqSplitter, bandSplitter];
+                this.updateRepairRouting();
+            })
+            .catch((error) => handleError(error, 'loadProcessor'));
+
+        return this.processorReady;
+    }
+
+    // messages posted from the worklet
+    handleProcessorMessage(message) {
+        switch (message.type) {
+            case 'click':
+                this.clickCount++;
+                if (this.onClick) {
+                    this.onClick({
+                        playbackTime: message.playbackTime,
+                        confidence: message.confidence,
+                        mode: message.mode,
+                        modes: message.modes,
+                        channels: message.channels,
+                        detectors: message.detectors
+                    });
+                }
+                if (DEBUG) {
+                    log(`Click detected: mode=${message.modes.join('+')}, confidence=${message.confidence.toFixed(2)}, widening=${this.params.clickWidening}ms, reduction=${this.params.reductionAmount}dB`);
+                }
+                break;
+            case 'channels':
+                if (this.onChannelCount && Math.min(MAX_CHANNEL_COUNT, message.value) > this.channelCount) {
+                    this.onChannelCount(Math.min(MAX_CHANNEL_COUNT, message.value));
+                }
+                break;
+            case 'detection':
+                if (this.debugEnabled && this.debugPanel) {
+                    this.debugPanel.addReport(message.value, { modes: this.params.modes, clickCount: this.clickCount });
+                }
+                break;
+            case 'capture':
+                if (this.pendingCapture) {
+                    this.pendingCapture.resolve({ samples: message.samples, sampleRate: message.sampleRate });
+                    this.pendingCapture = null;
+                }
+                break;
+            case 'feedback':
+                if (this.pendingFeedback) {
+                    this.pendingFeedback(message.value);
+                    this.pendingFeedback = null;
+                }
+                break;
+        }
+    }
+
+    // record the next few seconds of unprocessed input, mixed to mono
+    captureInput(seconds) {
+        return this.loadProcessor().then(() => {
+            if (!this.processorNode) {
+                throw new Error('audio worklet unavailable');
+            }
+            return new Promise((resolve, reject) => {
+                this.pendingCapture = { resolve, reject };
+                this.postToProcessor('capture', seconds);
+            });
+        });
+    }
+
+    // the recent detection frame a feedback mark is about: for 'miss' the most click-like frame
+    // that wasn't repaired, for 'speech' the most confident click that was. resolves to
+    // { kind, mode, margin, features } or null when there is nothing to mark
+    captureFeedback(kind) {
+        if (!this.processorNode) return Promise.resolve(null);
+        return new Promise(resolve => {
+            if (this.pendingFeedback) this.pendingFeedback(null);
+            this.pendingFeedback = resolve;
+            this.postToProcessor('feedback', kind);
+        });
+    }
+
+    // post a message to the worklet once it exists
+    postToProcessor(type, value) {
+        if (this.processorNode) {
+            this.processorNode.port.postMessage({ type, value });
+        }
+    }
+
+    // listen to the worklet's repaired output when clicks are rebuilt, to the crossover bands for
+    // multiband repair, and to the plain delayed signal otherwise. all paths carry the same
+    // lookahead, so switching never shifts the audio in time
+    updateRepairRouting() {
+        const method = this.params.repairMethod;
+        let path = 'delay';
+        if (this.processorNode && (method === 'interpolate' || method === 'hybrid')) path = 'repair';
+        if (this.processorNode && method === 'multiband') path = 'multiband';
+
+        const now = this.audioContext.currentTime;
+        this.delayTap.gain.setTargetAtTime(path === 'delay' ? 1 : 0, now, 0.01);
+        this.repairTap.gain.setTargetAtTime(path === 'repair' ? 1 : 0, now, 0.01);
+        this.multibandTap.gain.setTargetAtTime(path === 'multiband' ? 1 : 0, now, 0.01);
+        this.dryDirect.gain.setTargetAtTime(path === 'multiband' ? 0 : 1, now, 0.01);
+        this.dryPhased.gain.setTargetAtTime(path === 'multiband' ? 1 : 0, now, 0.01);
+    }
+
+    // 'processed', 'bypass' (a/b against the untouched audio) or 'delta' (removed audio only)
+    setMonitoring(mode) {
+        const taps = MONITOR_TAPS[mode];
+        if (!taps) return;
+
+        this.monitoring = mode;
+        const now = this.audioContext.currentTime;
+        this.processedTap.gain.setTargetAtTime(taps.processed, now, 0.005);
+        this.dryTap.gain.setTargetAtTime(taps.dry, now, 0.005);
+    }
+
+    // push the current state to the worklet
+    syncProcessor() {
+        this.postToProcessor('params', this.params);
+        this.postToProcessor('enabled', this.processingEnabled);
+        this.postToProcessor('debug', this.debugEnabled);
+    }
+
+    // Connect audio source to processor
+    processAudio(sourceNode) {
+        sourceNode.disconnect();
+        sourceNode.connect(this.inputGain);
+        this.sourceNode = sourceNode;
+        if (this.processorNode) sourceNode.connect(this.processorNode, 0, 1);
+    }
+
+    // start sample-accurate mouth click detection in the audio worklet
+    startDetection() {
+        return this.loadProcessor();
+    }
+    
+    // update processing parameters
+    updateParameters(newParams) {
+        Object.assign(this.params, newParams);
+        this.postToProcessor('params', this.params);
+        if (DEBUG) {
+            log('Parameters updated:', newParams);
+        }
+    }
+    
+    // set sensitivity (0.1 to 2.0)
+    setSensitivity(sensitivity) {
+        this.params.sensitivity = Math.max(0.1, Math.min(2.0, sensitivity));
+        this.postToProcessor('params', this.params);
+    }
+    
+    // set frequency skew (-1.0 to 1.0)
+    setFrequencySkew(skew) {
+        this.params.frequencySkew = Math.max(-1.0, Math.min(1.0, skew));
+        this.postToProcessor('params', this.params);
+    }
+    
+    // set click widening (1-20ms)
+    setClickWidening(widening) {
+        this.params.clickWidening = Math.max(1, Math.min(20, widening));
+        this.postToProcessor('params', this.params);
+    }
+    
+    // set reduction amount (-60 to 0 db)
+    setReductionAmount(reduction) {
+        this.params.reductionAmount = Math.max(-60, Math.min(0, reduction));
+        this.postToProcessor('params', this.params);
+    }
+    
+    // set repair method ('duck', 'interpolate', 'hybrid', 'eq' or 'multiband')
+    setRepairMethod(method) {
+        if (['duck', 'interpolate', 'hybrid', 'eq', 'multiband'].includes(method)) {
+            this.params.repairMethod = method;
+            this.postToProcessor('params', this.params);
+            this.updateRepairRouting();
+        }
+    }
+    
+    // set detection method ('rules', 'model' or 'ensemble')
+    setDetectionMethod(method) {
+        if (['rules', 'model', 'ensemble'].includes(method)) {
+            this.params.detectionMethod = method;
+            this.postToProcessor('params', this.params);
+        }
+    }
+
+    // set channel handling ('linked' or 'split')
+    setChannelMode(mode) {
+        if (['linked', 'split'].includes(mode)) {
+            this.params.channelMode = mode;
+            this.postToProcessor('params', this.params);
+        }
+    }
+
+    // set the latency profile, an id from latency.js or 'auto'
+    setLatencyProfile(profile) {
+        if (profile === 'auto' || Latency.isValid(profile)) {
+            this.params.latencyProfile = profile;
+            this.applyLatency();
+        }
+    }
+
+    // the media's content type changed (a stream's length became known), 'auto' may pick another profile
+    setContentType(contentType) {
+        this.contentType = contentType;
+        this.applyLatency();
+    }
+
+    // set the site's feedback factor on the detection thresholds
+    setFeedbackScale(scale) {
+        this.params.feedbackScale = Math.max(0.5, Math.min(2.0, scale));
+        this.postToProcessor('params', this.params);
+    }
+
+    // set the per-mode rate limits, anything not given falls back to the defaults
+    setRateLimits(rateLimits) {
+        this.params.rateLimits = JSON.parse(JSON.stringify(this.defaultParams.rateLimits));
+        this.assignSettings({ rateLimits: rateLimits || {} });
+        this.postToProcessor('params', this.params);
+    }
+    
+    // run just one mode, any id from the mode registry
+    setMode(mode) {
+        if (Modes.isValid(mode)) {
+            this.setModes([mode]);
+        }
+    }
+
+    // run several modes at once; the worklet applies each mode's widening and skew to its own repairs
+    setModes(modes) {
+        this.params.modes = Modes.resolve(modes, this.params.mode);
+        this.params.mode = this.params.modes[0];
+        this.postToProcessor('params', this.params);
+    }
+
+    // Create debug panel
+    createDebugDisplay() {
+        const existingDisplay = document.getElementById(`click-debug-${this.chainId}`);
+        if (existingDisplay) {
+            existingDisplay.remove();
+        }
+
+        this.debugPanel = new DebugPanel({ id: this.chainId, label: this.label, sampleRate: this.sampleRate });
+        return this.debugPanel;
+    }
+
+    // Toggle debug display
+    toggleDebug(enabled) {
+        this.debugEnabled = enabled;
+        this.postToProcessor('debug', enabled);
+        if (enabled) {
+            if (!this.debugPanel) {
+                this.createDebugDisplay();
+            }
+        } else if (this.debugPanel) {
+            this.debugPanel.destroy();
+            this.debugPanel = null;
+        }
+    }
+
+    // switch processing without storing the choice
+    setProcessingEnabled(enabled) {
+        this.processingEnabled = enabled;
+        this.postToProcessor('enabled', enabled);
+    }
+
+    // disconnect every node and stop the worklet when the media element goes away
+    destroy() {
+        this.destroyed = true;
+
+        // the worklet won't answer anymore, don't leave a calibration or feedback mark waiting
+        if (this.pendingCapture) {
+            this.pendingCapture.reject(new Error('the media stopped playing here while listening'));
+            this.pendingCapture = null;
+        }
+        if (this.pendingFeedback) {
+            this.pendingFeedback(null);
+            this.pendingFeedback = null;
+        }
+
+        if (this.processorNode) {
+            this.processorNode.port.onmessage = null;
+            this.processorNode.port.close();
+            this.processorNode.disconnect();
+            this.processorNode = null;
+        }
+
+        this.processorSplitters.forEach(splitter => splitter.disconnect());
+        this.processorSplitters = [];
+
+        const stageNodes = this.channelStages.flatMap(stage => [stage.clickGain, ...stage.eqStages, ...stage.bandGains]);
+        [this.inputGain, this.delayNode, this.delayTap, this.repairTap, this.channelSplitter, ...stageNodes, this.channelMerger,
+            this.multibandTap, ...this.crossover.nodes, ...this.bandSplitters,
+            this.dryDirect, ...this.dryAllpasses, this.dryPhased, this.processedTap, this.dryTap, this.outputGain]
+            .forEach(node => node.disconnect());
+
+        if (this.debugPanel) {
+            this.debugPanel.destroy();
+            this.debugPanel = null;
+        }
+    }
+
+    smoothValue(oldValue, newValue, smoothingFactor) {
+        return oldValue * smoothingFactor + newValue * (1 - smoothingFactor);
+    }
+}
+
+// the node test harness loads the chain with a stubbed context and storage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AdvancedMouthDeClicker, SETTING_KEYS, MONITOR_TAPS, EQ_BAND, MULTIBAND_BANDS, MAX_CHANNEL_COUNT };
+}
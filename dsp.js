@@ -0,0 +1,962 @@
+// shared dsp core for mouth click detection
+// runs inside the audio worklet (declicker-worklet.js) and has no dom or chrome dependencies
+
+// the mode registry and the speech analyzer are loaded before this file everywhere but node
+if (typeof module !== 'undefined' && module.exports && typeof Modes === 'undefined') {
+    globalThis.Modes = require('./modes.js').Modes;
+}
+if (typeof module !== 'undefined' && module.exports && typeof SpeechAnalyzer === 'undefined') {
+    globalThis.SpeechAnalyzer = require('./speech.js').SpeechAnalyzer;
+}
+
+class MouthClickDetector {
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+
+        // analysis frame configuration
+        this.frameSize = options.frameSize || 1024;
+        this.hopSize = options.hopSize || 128;
+        this.fftSize = this.frameSize;
+        this.frequencyBinCount = this.fftSize / 2;
+
+        // lpc analysis parameters
+        this.lpcOrder = 16;
+        this.interpolationOrder = 32; // higher order keeps tonal content through repaired gaps
+
+        // multi-band frequency analysis with cached bin indices
+        this.freqBands = {
+            low: { min: 100, max: 800 },
+            mid: { min: 800, max: 2500 },
+            high: { min: 2500, max: 8000 },
+            mouth: { min: 2000, max: 5000 } // primary mouth click range
+        };
+
+        // the multiband repair bands, split where the chain's crossovers (MULTIBAND_CROSSOVERS in
+        // declicker.js) split the audio, so the band a click rose in is the band that gets ducked
+        this.repairBandRanges = {
+            low: { min: 100, max: 800 },
+            mid: { min: 800, max: 2000 },
+            mouth: { min: 2000, max: 5000 },
+            high: { min: 5000, max: 8000 }
+        };
+
+        // cache frequency bin indices for performance
+        this.freqBinCache = null;
+        this.cacheSampleRate = 0;
+
+        // fft tables and analysis buffers
+        this.initFFT();
+        this.freqData = new Float32Array(this.frequencyBinCount);
+        this.previousSpectrum = new Float32Array(this.frequencyBinCount);
+
+        // dynamic loudness adaptation (~1.5s of history regardless of hop size): a ring of frame
+        // loudness, oldest at loudnessIndex, and the same values kept sorted for the noise percentile
+        this.loudnessHistoryLength = Math.max(30, Math.round(1.5 * sampleRate / this.hopSize));
+        this.loudnessHistory = new Float64Array(this.loudnessHistoryLength).fill(-60);
+        this.loudnessSorted = new Float64Array(this.loudnessHistoryLength).fill(-60);
+        this.loudnessIndex = 0;
+        this.adaptiveThreshold = 0.35;
+        this.backgroundNoiseLevel = -40;
+        this.signalToNoiseRatio = 1.0;
+
+        // slow running level of each repair band (~0.5s), to tell which bands a click raised
+        this.bandLevels = null;
+        this.bandLevelRate = 1 - Math.exp(-this.hopSize / (0.5 * sampleRate));
+
+        // click rate limiting to prevent stuttering, configured per mode in params.rateLimits
+        this.clickHistory = []; // track recent clicks
+        this.lastClickTime = -Infinity;
+        this.clickSuppressionTime = 0; // time when we're suppressing clicks
+        this.candidateHistory = []; // { time, confidence } of recent detections, for the adaptive budget
+        this.droppedClicks = 0; // detections the limiter turned away, reported to the debug view
+        this.clickBudget = { maxClicksPerSecond: 8, minClickInterval: 125 };
+
+        this.processingEnabled = true;
+
+        // optional learned click classifier (classifier.js), used when params.detectionMethod asks for it
+        this.classifier = null;
+
+        // speech presence (speech.js); detectors analyzing the same stream can share one analyzer.
+        // speechProtection is the latest frame's, 0 with no speech and 1 in clear speech
+        this.speechAnalyzer = new SpeechAnalyzer(sampleRate, this.hopSize);
+        this.speechProtection = 0;
+
+        // advanced mouth de-click parameters
+        this.params = {
+            // sensitivity control (0.1 to 2.0, default 1.0)
+            sensitivity: 1.0,
+
+            // frequency skew (-1.0 to 1.0, 0 = mouth focus, negative = low freq, positive = high freq)
+            frequencySkew: 0.0,
+
+            // click widening in milliseconds (1-20ms, default 5ms)
+            clickWidening: 5.0,
+
+            // reduction amount in db (-60 to 0, default -inf for complete removal)
+            reductionAmount: -60,
+
+            // processing mode, an id from the mode registry (modes.js)
+            mode: 'click',
+
+            // repair method: 'duck' dips clickGain, 'interpolate' rebuilds the click from
+            // the surrounding audio, 'hybrid' rebuilds it and applies a gentler dip on top,
+            // 'eq' cuts the mouth band, 'multiband' dips only the bands the click raised
+            repairMethod: 'duck',
+
+            // what decides a click: the hand-tuned 'rules', the learned 'model', or an 'ensemble'
+            // averaging both; without a loaded classifier everything runs on the rules
+            detectionMethod: 'rules',
+
+            // 'linked' analyzes the downmix and repairs every channel together, 'split' analyzes
+            // and repairs each channel on its own (used by the worklet, not the detector)
+            channelMode: 'linked',
+
+            // conservative detection thresholds (prevent over-processing)
+            thresholds: {
+                lpcError: 0.018,       // more conservative prediction error threshold
+                spectralFlux: 0.16,    // higher spectral change threshold
+                transientRatio: 2.8,   // more selective transient detection
+                mouthBandEnergy: 0.012, // higher energy threshold
+                confidenceThreshold: 0.65, // higher confidence required
+                dynamicRange: 2.5,     // dynamic range multiplier
+                adaptiveBoost: 1.0     // adaptive boost factor
+            },
+
+            // per-site factor on the thresholds above, learned from the user's feedback labels
+            // (feedback.js); above 1 fires less often
+            feedbackScale: 1.0,
+
+            // how far speech raises the confidence a click needs: (1 + this) times at full protection
+            speechProtectionWeight: 2.0,
+
+            // frequency weighting for detection
+            freqWeights: {
+                low: 0.2,    // 100-800 hz
+                mid: 0.6,    // 800-2500 hz
+                high: 1.0,   // 2500-8000 hz
+                mouth: 1.5   // 2000-5000 hz (primary mouth click range)
+            },
+
+            // rate limiting per mode: click budget per second, minimum gap between processed
+            // clicks and suppression after each one (ms); adaptive scales the budget with how
+            // confident recent detections were
+            rateLimits: Modes.defaultRateLimits()
+        };
+
+        // band weight and threshold factors of the current mode
+        this.modeProfile = Modes.get(this.params.mode);
+    }
+
+    // merge parameter updates, keeping nested threshold and weight objects intact
+    updateParameters(newParams) {
+        const { thresholds, freqWeights, rateLimits, ...rest } = newParams;
+        Object.assign(this.params, rest);
+        if (thresholds) Object.assign(this.params.thresholds, thresholds);
+        if (freqWeights) Object.assign(this.params.freqWeights, freqWeights);
+        if (rateLimits) {
+            Object.keys(rateLimits).forEach(mode => {
+                this.params.rateLimits[mode] = { ...this.params.rateLimits[mode], ...rateLimits[mode] };
+            });
+        }
+        this.modeProfile = Modes.get(this.params.mode);
+    }
+
+    // use a loaded ClickClassifier, or null to go back to the rules only
+    setClassifier(classifier) {
+        this.classifier = classifier;
+    }
+
+    // a detection threshold as adjusted by the current mode
+    modeThreshold(name) {
+        return this.params.thresholds[name] * (this.modeProfile.thresholdScale[name] || 1);
+    }
+
+    // the threshold detection runs against, with the site's feedback on top
+    threshold(name) {
+        return this.modeThreshold(name) * this.params.feedbackScale;
+    }
+
+    // a band weight as adjusted by the current mode
+    bandWeight(band) {
+        return this.params.freqWeights[band] * (this.modeProfile.bandWeights[band] || 1);
+    }
+
+    // precompute blackman window, twiddle factors and bit reversal for the frame fft
+    initFFT() {
+        const n = this.fftSize;
+        this.window = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            // same blackman window the AnalyserNode applies
+            this.window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / n) + 0.08 * Math.cos(4 * Math.PI * i / n);
+        }
+
+        this.cosTable = new Float32Array(n / 2);
+        this.sinTable = new Float32Array(n / 2);
+        for (let i = 0; i < n / 2; i++) {
+            this.cosTable[i] = Math.cos(2 * Math.PI * i / n);
+            this.sinTable[i] = -Math.sin(2 * Math.PI * i / n);
+        }
+
+        const bits = Math.log2(n);
+        this.bitReversal = new Uint32Array(n);
+        for (let i = 0; i < n; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            this.bitReversal[i] = reversed;
+        }
+
+        this.fftReal = new Float32Array(n);
+        this.fftImag = new Float32Array(n);
+    }
+
+    // compute a db magnitude spectrum matching AnalyserNode.getFloatFrequencyData
+    computeSpectrum(frame, output = this.freqData) {
+        const n = this.fftSize;
+        const re = this.fftReal;
+        const im = this.fftImag;
+        const offset = frame.length - n;
+
+        for (let i = 0; i < n; i++) {
+            const j = this.bitReversal[i];
+            re[j] = frame[offset + i] * this.window[i];
+            im[j] = 0;
+        }
+
+        // iterative radix-2 fft
+        for (let size = 2; size <= n; size <<= 1) {
+            const half = size >> 1;
+            const step = n / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const cos = this.cosTable[k * step];
+                    const sin = this.sinTable[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = re[b] * cos - im[b] * sin;
+                    const ti = re[b] * sin + im[b] * cos;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+
+        for (let i = 0; i < output.length; i++) {
+            const magnitude = Math.sqrt(re[i] * re[i] + im[i] * im[i]) / n;
+            output[i] = magnitude > 1e-8 ? 20 * Math.log10(magnitude) : -160;
+        }
+
+        return output;
+    }
+
+    // optimized linear prediction coding analysis for outlier detection
+    computeLPCCoefficients(signal, order) {
+        const n = signal.length;
+
+        // early exit for insufficient data
+        if (n < order * 2) {
+            return { coefficients: new Array(order + 1).fill(0), error: 1.0 };
+        }
+
+        const r = new Array(order + 1).fill(0);
+
+        // autocorrelation over the whole frame: dividing every lag by the same length keeps it
+        // positive definite, so levinson-durbin stays stable on strongly resonant (tonal) signals
+        for (let k = 0; k <= order; k++) {
+            const limit = n - k;
+            for (let i = 0; i < limit; i++) {
+                r[k] += signal[i] * signal[i + k];
+            }
+            r[k] /= n;
+        }
+
+        // early exit if no signal energy
+        if (r[0] < 1e-10) {
+            return { coefficients: new Array(order + 1).fill(0), error: 1.0 };
+        }
+
+        // levinson-durbin algorithm with stability checks
+        const a = new Array(order + 1).fill(0);
+        const previous = new Array(order + 1).fill(0);
+        a[0] = 1;
+        let e = r[0];
+
+        for (let i = 1; i <= order; i++) {
+            let lambda = 0;
+            for (let j = 1; j < i; j++) {
+                lambda += a[j] * r[i - j];
+            }
+
+            if (Math.abs(e) < 1e-10) break; // avoid division by zero
+
+            lambda = (r[i] - lambda) / e;
+
+            // stability check
+            if (Math.abs(lambda) >= 1.0) break;
+
+            // update coefficients from the previous order's, which the update would overwrite
+            for (let j = 1; j < i; j++) {
+                previous[j] = a[j];
+            }
+            for (let j = 1; j < i; j++) {
+                a[j] = previous[j] - lambda * previous[i - j];
+            }
+            a[i] = lambda;
+            e *= (1 - lambda * lambda);
+        }
+
+        return { coefficients: a, error: Math.max(e, 1e-10) };
+    }
+
+    // compute prediction error signal using lpc
+    computePredictionError(signal, lpcCoeffs) {
+        const error = new Float32Array(signal.length);
+        const order = lpcCoeffs.length - 1;
+
+        for (let i = order; i < signal.length; i++) {
+            let prediction = 0;
+            for (let j = 1; j <= order; j++) {
+                prediction += lpcCoeffs[j] * signal[i - j];
+            }
+            error[i] = signal[i] - prediction;
+        }
+
+        return error;
+    }
+
+    // extrapolate length samples past the end of context with an autoregressive model
+    extrapolateAR(context, length, order) {
+        const result = new Float32Array(length);
+        const n = context.length;
+        if (n === 0) return result;
+
+        const { coefficients } = this.computeLPCCoefficients(context, order);
+        const modelOrder = coefficients.length - 1;
+
+        // bound the prediction by the context peak so a marginal model can't blow up
+        let peak = 0;
+        for (let i = 0; i < n; i++) {
+            peak = Math.max(peak, Math.abs(context[i]));
+        }
+
+        for (let i = 0; i < length; i++) {
+            let prediction = 0;
+            for (let j = 1; j <= modelOrder; j++) {
+                const k = i - j;
+                const sample = k >= 0 ? result[k] : (n + k >= 0 ? context[n + k] : 0);
+                prediction += coefficients[j] * sample;
+            }
+            result[i] = Math.max(-peak, Math.min(peak, prediction));
+        }
+
+        return result;
+    }
+
+    // rebuild buffer[startIdx, endIdx) from the audio around it
+    // forward prediction from the left context and backward prediction from the right are crossfaded
+    interpolateAudioSegment(startIdx, endIdx, buffer, order = this.interpolationOrder) {
+        const segmentLength = endIdx - startIdx;
+        const preContext = buffer.slice(0, startIdx);
+        const postContext = buffer.slice(endIdx).reverse();
+        const interpolated = new Float32Array(segmentLength);
+
+        // not enough context for a stable model, fall back to a straight line between the edges
+        if (preContext.length < order * 2 || postContext.length < order * 2) {
+            const preValue = preContext.length > 0 ? preContext[preContext.length - 1] : 0;
+            const postValue = postContext.length > 0 ? postContext[postContext.length - 1] : 0;
+            for (let i = 0; i < segmentLength; i++) {
+                const ratio = i / segmentLength;
+                interpolated[i] = preValue * (1 - ratio) + postValue * ratio;
+            }
+            return interpolated;
+        }
+
+        const forward = this.extrapolateAR(preContext, segmentLength, order);
+        const backward = this.extrapolateAR(postContext, segmentLength, order).reverse();
+
+        // raised-cosine crossfade from the forward to the backward estimate
+        for (let i = 0; i < segmentLength; i++) {
+            const weight = 0.5 - 0.5 * Math.cos(Math.PI * (i + 1) / (segmentLength + 1));
+            interpolated[i] = forward[i] * (1 - weight) + backward[i] * weight;
+        }
+
+        return interpolated;
+    }
+
+    // initialize cached frequency bin indices for performance
+    initFreqBinCache() {
+        if (this.cacheSampleRate === this.sampleRate && this.freqBinCache) {
+            return; // cache is still valid
+        }
+
+        this.cacheSampleRate = this.sampleRate;
+        this.freqBinCache = {};
+
+        for (const [bandName, band] of Object.entries(this.freqBands)) {
+            this.freqBinCache[bandName] = {
+                minBin: this.frequencyBin(band.min),
+                maxBin: this.frequencyBin(band.max)
+            };
+        }
+    }
+
+    // spectrum bin a frequency falls in; bins are sampleRate / fftSize apart
+    frequencyBin(freq) {
+        return Math.min(this.frequencyBinCount, Math.floor(freq * this.fftSize / this.sampleRate));
+    }
+
+    // optimized band energy calculation using cached bin indices
+    calculateBandEnergy(freqData, minFreq, maxFreq, weight = 1.0) {
+        this.initFreqBinCache();
+
+        // find matching cached band or calculate bins
+        let minBin, maxBin;
+        for (const [bandName, cache] of Object.entries(this.freqBinCache)) {
+            const band = this.freqBands[bandName];
+            if (band.min === minFreq && band.max === maxFreq) {
+                minBin = cache.minBin;
+                maxBin = cache.maxBin;
+                break;
+            }
+        }
+
+        // fallback to calculation if not cached
+        if (minBin === undefined) {
+            minBin = this.frequencyBin(minFreq);
+            maxBin = this.frequencyBin(maxFreq);
+        }
+
+        let energy = 0;
+        const binRange = maxBin - minBin;
+
+        for (let i = minBin; i < maxBin; i++) {
+            energy += Math.pow(10, freqData[i] / 20);
+        }
+
+        return binRange > 0 ? (energy / binRange) * weight : 0;
+    }
+
+    // the user's frequency skew with the current mode's shift on top
+    frequencySkew() {
+        return Math.max(-1, Math.min(1, this.params.frequencySkew + this.modeProfile.skewShift));
+    }
+
+    // how far the skew leans detection toward a frame centred at freq: above the mouth range
+    // counts for more with a positive skew and for less with a negative one, 1 without skew
+    getFrequencyTilt(freq) {
+        const ratio = Math.max(0.25, Math.min(4, freq / 3500));
+        return Math.pow(ratio, this.frequencySkew());
+    }
+
+    // each band's energy relative to its running level, so a click stands out in the bands it
+    // raised rather than in the ones speech or music always fill
+    updateBandLevels(bandEnergies) {
+        if (!this.bandLevels) this.bandLevels = { ...bandEnergies };
+
+        const bandRise = {};
+        Object.keys(bandEnergies).forEach(band => {
+            bandRise[band] = bandEnergies[band] / Math.max(this.bandLevels[band], 1e-6);
+            this.bandLevels[band] += (bandEnergies[band] - this.bandLevels[band]) * this.bandLevelRate;
+        });
+        return bandRise;
+    }
+
+    // bands a multiband repair should attenuate: those that rose at least half as much as the one
+    // that rose most, each tilted at its centre by the frequency skew
+    selectRepairBands(bandRise) {
+        const scores = {};
+        Object.keys(bandRise).forEach(band => {
+            const { min, max } = this.repairBandRanges[band];
+            scores[band] = bandRise[band] * this.getFrequencyTilt(Math.sqrt(min * max));
+        });
+
+        const best = Math.max(...Object.values(scores));
+        return Object.keys(scores).filter(band => scores[band] >= best * 0.5);
+    }
+
+    // frame loudness against the background noise level, shared by every mode
+    trackLoudness(timeData) {
+        // calculate rms loudness with safety checks
+        let rms = 0;
+        for (let i = 0; i < timeData.length; i++) {
+            if (isFinite(timeData[i])) {
+                rms += timeData[i] * timeData[i];
+            }
+        }
+        rms = Math.sqrt(rms / timeData.length);
+        const loudnessDb = isFinite(rms) && rms > 0 ?
+            20 * Math.log10(Math.max(rms, 1e-10)) : -60;
+
+        // update loudness history, the new value takes the oldest one's place in the sorted copy
+        const oldest = this.loudnessHistory[this.loudnessIndex];
+        this.loudnessHistory[this.loudnessIndex] = loudnessDb;
+        this.loudnessIndex = (this.loudnessIndex + 1) % this.loudnessHistoryLength;
+        this.replaceSorted(this.loudnessSorted, oldest, loudnessDb);
+
+        // calculate background noise level (10th percentile)
+        this.backgroundNoiseLevel = this.loudnessSorted[Math.floor(this.loudnessHistoryLength * 0.1)];
+
+        // calculate signal-to-noise ratio with safety checks
+        const currentSignal = isFinite(loudnessDb) ? loudnessDb : -60;
+        const backgroundNoise = isFinite(this.backgroundNoiseLevel) ? this.backgroundNoiseLevel : -40;
+        return { loudnessDb, snr: Math.max(0.1, Math.min(60, currentSignal - backgroundNoise)) };
+    }
+
+    // swap one value of a sorted array for another, moving the new one to where it belongs
+    replaceSorted(sorted, oldValue, newValue) {
+        let low = 0;
+        let high = sorted.length - 1;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (sorted[middle] < oldValue) low = middle + 1;
+            else high = middle;
+        }
+
+        let i = low;
+        while (i + 1 < sorted.length && sorted[i + 1] < newValue) {
+            sorted[i] = sorted[i + 1];
+            i++;
+        }
+        while (i > 0 && sorted[i - 1] > newValue) {
+            sorted[i] = sorted[i - 1];
+            i--;
+        }
+        sorted[i] = newValue;
+    }
+
+    // adapt the confidence threshold to the frame's loudness
+    updateDynamicLoudness(loudness) {
+        this.signalToNoiseRatio = loudness.snr;
+
+        // adaptive threshold based on loudness with safety bounds
+        const loudnessBoost = Math.max(1.0, Math.min(5.0, 3.0 - (this.signalToNoiseRatio / 20))); // boost detection in quiet audio
+        this.adaptiveThreshold = Math.max(0.1, Math.min(1.0, this.threshold('confidenceThreshold') / loudnessBoost));
+
+        return { loudnessDb: loudness.loudnessDb, snr: this.signalToNoiseRatio, adaptiveThreshold: this.adaptiveThreshold };
+    }
+
+    // rate limit settings for the current mode
+    rateLimitSettings() {
+        return this.params.rateLimits[this.params.mode] || this.params.rateLimits.click;
+    }
+
+    // click budget and minimum interval in effect right now; the adaptive option scales both by
+    // the share of the last two seconds' detections that were well above the confidence requirement,
+    // from half the configured budget when all were marginal to twice it when all were strong
+    updateClickBudget(currentTime, requiredConfidence) {
+        const limits = this.rateLimitSettings();
+        let scale = 1;
+
+        if (limits.adaptive) {
+            this.candidateHistory = this.candidateHistory.filter(candidate => currentTime - candidate.time < 2000);
+            if (this.candidateHistory.length >= 4) {
+                const strong = this.candidateHistory.filter(candidate => candidate.confidence >= requiredConfidence * 2).length;
+                scale = 0.5 + 1.5 * strong / this.candidateHistory.length;
+            }
+        }
+
+        this.clickBudget = {
+            maxClicksPerSecond: Math.max(1, Math.round(limits.maxClicksPerSecond * scale)),
+            minClickInterval: limits.minClickInterval / scale
+        };
+        return this.clickBudget;
+    }
+
+    // confidence a detection needs before the rate limiter raises the bar, lower at higher
+    // sensitivity and higher while speech is present
+    requiredConfidence(speechFactor = this.speechFactor(), feedbackScale = this.requirementFeedbackScale()) {
+        return 0.5 / Math.pow(this.params.sensitivity, 0.8) * speechFactor * feedbackScale;
+    }
+
+    // the site's feedback reaches the rules through their thresholds (threshold()); the model has
+    // no thresholds but the probability it needs, so deciding alone it scales the requirement
+    requirementFeedbackScale() {
+        const method = this.classifier ? this.params.detectionMethod : 'rules';
+        return method === 'model' ? this.params.feedbackScale : 1;
+    }
+
+    // factor the current frame's speech protection puts on the confidence requirements; the
+    // classifier reads the speech cues itself, so only the rules' share of the confidence is held
+    // back: all of it with the rules alone, half in the ensemble and none with the model
+    speechFactor() {
+        const method = this.classifier ? this.params.detectionMethod : 'rules';
+        const share = method === 'model' ? 0 : method === 'ensemble' ? 0.5 : 1;
+        return 1 + this.params.speechProtectionWeight * this.speechProtection * share;
+    }
+
+    // rate limiting and click prioritization to prevent stuttering
+    // currentTime is in milliseconds of stream time, so offline renders limit identically
+    shouldProcessClick(isDetected, confidence, currentTime) {
+        if (!isDetected) return false;
+
+        const limits = this.rateLimitSettings();
+        const sensitivityBoost = Math.pow(this.params.sensitivity, 0.8); // moderate scaling for rate limiting
+        const baseRequiredConfidence = this.requiredConfidence();
+
+        if (limits.adaptive) {
+            this.candidateHistory.push({ time: currentTime, confidence });
+        }
+        const budget = this.updateClickBudget(currentTime, baseRequiredConfidence);
+
+        // clean up old click history (keep only last 1 second)
+        this.clickHistory = this.clickHistory.filter(time => currentTime - time < 1000);
+
+        // check if we're in suppression period after recent processing
+        // (the tail of a click just processed, so not counted as dropped)
+        if (currentTime < this.clickSuppressionTime) {
+            return false;
+        }
+
+        // check rate limiting - max clicks per second
+        if (this.clickHistory.length >= budget.maxClicksPerSecond) {
+            this.droppedClicks++;
+            return false;
+        }
+
+        // check minimum interval between clicks
+        if (currentTime - this.lastClickTime < budget.minClickInterval) {
+            this.droppedClicks++;
+            return false;
+        }
+
+        // prioritize with sensitivity-adjusted confidence requirements
+        const clickRatio = this.clickHistory.length / budget.maxClicksPerSecond;
+        const requiredConfidence = baseRequiredConfidence + (clickRatio * 0.3 / sensitivityBoost);
+
+        if (confidence < requiredConfidence) {
+            // only the part of the requirement that grows with recent clicks is rate limiting
+            if (confidence >= baseRequiredConfidence) this.droppedClicks++;
+            return false;
+        }
+
+        // record this click
+        this.clickHistory.push(currentTime);
+        this.lastClickTime = currentTime;
+
+        // set suppression period after processing to allow audio to settle
+        this.clickSuppressionTime = currentTime + limits.suppression;
+
+        return true;
+    }
+
+    // the measurements of a frame that don't depend on the mode: detectors running different
+    // modes on the same frames can take them from one detector's analysis (see detectMouthClick)
+    // timeData is the current analysis frame, currentTime the stream time in milliseconds
+    analyzeFrame(timeData, freqData, currentTime) {
+        const loudness = this.trackLoudness(timeData);
+
+        // 1. high-quality lpc analysis with larger window
+        const windowSize = Math.min(1024, timeData.length); // larger analysis window
+        const analysisWindow = timeData.subarray ?
+            timeData.subarray(timeData.length - windowSize) :
+            timeData.slice(-windowSize);
+
+        const lpcResult = this.computeLPCCoefficients(analysisWindow, this.lpcOrder);
+        const predictionError = this.computePredictionError(analysisWindow, lpcResult.coefficients);
+
+        // calculate rms and peak of prediction error, remembering where the peak sits
+        let errorRMS = 0;
+        let errorPeak = 0;
+        let errorPeakIndex = analysisWindow.length - 1;
+        for (let i = this.lpcOrder; i < predictionError.length; i++) {
+            const absError = Math.abs(predictionError[i]);
+            errorRMS += predictionError[i] * predictionError[i];
+            if (absError > errorPeak) {
+                errorPeak = absError;
+                errorPeakIndex = i;
+            }
+        }
+        errorRMS = Math.sqrt(errorRMS / (predictionError.length - this.lpcOrder));
+
+        // 2. band energies before any weighting, and how far each repair band rose above its running level
+        const bandEnergies = {};
+        Object.keys(this.freqBands).forEach(band => {
+            bandEnergies[band] = this.calculateBandEnergy(freqData, this.freqBands[band].min, this.freqBands[band].max);
+        });
+        const repairEnergies = {};
+        Object.keys(this.repairBandRanges).forEach(band => {
+            repairEnergies[band] = this.calculateBandEnergy(freqData, this.repairBandRanges[band].min, this.repairBandRanges[band].max);
+        });
+        const bandRise = this.updateBandLevels(repairEnergies);
+
+        // 3. spectral flux analysis (sudden spectral changes)
+        let spectralFlux = 0;
+        if (this.previousSpectrum.length > 0) {
+            for (let i = 0; i < freqData.length; i++) {
+                const diff = freqData[i] - this.previousSpectrum[i];
+                spectralFlux += Math.max(0, diff); // only positive changes
+            }
+            spectralFlux /= freqData.length;
+        }
+        this.previousSpectrum.set(freqData);
+
+        // 5. multiple spectral shape analyses
+        const spectralCentroid = this.calculateSpectralCentroid(freqData);
+        const spectralSpread = this.calculateSpectralSpread(freqData, spectralCentroid);
+
+        // 7. peak amplitude
+        let maxAmplitude = 0;
+        for (let i = 0; i < timeData.length; i++) {
+            maxAmplitude = Math.max(maxAmplitude, Math.abs(timeData[i]));
+        }
+
+        return {
+            loudness,
+            errorRMS,
+            errorPeak,
+            // offset of the strongest prediction error from the end of the frame
+            clickOffset: analysisWindow.length - 1 - errorPeakIndex,
+            bandEnergies,
+            bandRise,
+            spectralFlux,
+            spectralCentroid,
+            spectralSpread,
+            maxAmplitude,
+            speech: this.speechAnalyzer.analyze(timeData, currentTime)
+        };
+    }
+
+    // balanced mouth click detection with enhanced quality
+    // timeData is the current analysis frame, currentTime the stream time in milliseconds; analysis
+    // is the frame's analyzeFrame result when another detector already made it
+    detectMouthClick(timeData, freqData, currentTime, analysis = null) {
+        if (!this.processingEnabled) {
+            return {
+                isClick: false,
+                detected: false,
+                rateLimited: false,
+                confidence: 0,
+                lpcConfidence: 0,
+                spectralConfidence: 0,
+                details: {}
+            };
+        }
+
+        const frame = analysis || this.analyzeFrame(timeData, freqData, currentTime);
+        const { errorRMS, errorPeak, spectralFlux, spectralCentroid, spectralSpread, maxAmplitude, bandRise, speech } = frame;
+
+        // dynamic loudness adaptation
+        const loudnessInfo = this.updateDynamicLoudness(frame.loudness);
+
+        // adaptive error threshold with expanded sensitivity range
+        const sensitivityMultiplier = Math.pow(this.params.sensitivity, 2.5); // exponential scaling for bigger range
+        const baseErrorThreshold = this.threshold('lpcError') / sensitivityMultiplier; // inverse relationship
+        const adaptiveErrorThreshold = baseErrorThreshold / Math.max(1.0, loudnessInfo.snr / 10);
+
+        // multiple lpc-based detections
+        const lpcRmsConfidence = Math.min(2.0, errorRMS / adaptiveErrorThreshold);
+        const lpcPeakConfidence = Math.min(2.0, errorPeak / (adaptiveErrorThreshold * 3));
+        const lpcConfidence = Math.max(lpcRmsConfidence, lpcPeakConfidence);
+
+        // 2. multi-band spectral analysis with frequency weighting
+        const bandEnergies = {};
+        Object.keys(frame.bandEnergies).forEach(band => {
+            bandEnergies[band] = frame.bandEnergies[band] * this.bandWeight(band);
+        });
+
+        // 4. transient detection with exponential sensitivity scaling
+        const totalEnergy = bandEnergies.low + bandEnergies.mid + bandEnergies.high + 0.0001;
+        const mouthBandRatio = bandEnergies.mouth / totalEnergy;
+        const transientSensitivity = Math.pow(this.params.sensitivity, 2.0); // exponential scaling
+        const adaptiveTransientThreshold = this.threshold('transientRatio') / transientSensitivity / Math.max(1.0, loudnessInfo.snr / 15);
+        const transientDetected = mouthBandRatio > adaptiveTransientThreshold;
+
+        // 5. multiple spectral shape analyses
+        const broadbandRatio = spectralSpread / (spectralCentroid + 1);
+
+        // 6. high frequency burst detection with sensitivity scaling
+        const highFreqBurst = bandEnergies.high / (bandEnergies.low + bandEnergies.mid + 0.0001);
+        const burstSensitivity = Math.pow(this.params.sensitivity, 1.8); // exponential scaling
+        const burstDetected = highFreqBurst > (2.0 / burstSensitivity / Math.max(1.0, loudnessInfo.snr / 10));
+
+        // 7. amplitude spike detection with sensitivity scaling
+        const amplitudeSensitivity = Math.pow(this.params.sensitivity, 2.3); // strong exponential scaling
+        const amplitudeSpike = maxAmplitude > (0.1 / amplitudeSensitivity / Math.max(1.0, loudnessInfo.snr / 20));
+
+        // 8. frequency skew: tilts the spectral detectors toward low or high frames; the lpc and
+        // amplitude detectors don't depend on where the energy sits
+        const skewWeight = this.getFrequencyTilt(spectralCentroid);
+
+        // multi-method detection with exponentially scaled sensitivity
+        const spectralSensitivity = Math.pow(this.params.sensitivity, 2.2); // exponential scaling
+        const adaptiveSpectralThreshold = this.threshold('spectralFlux') / spectralSensitivity / Math.max(1.0, loudnessInfo.snr / 8);
+
+        const detectionMethods = {
+            lpcOutlier: {
+                confidence: lpcConfidence,
+                weight: 0.35,
+                detected: lpcConfidence > 0.4 // much lower threshold
+            },
+            spectralFlux: {
+                confidence: Math.min(2.0, spectralFlux / adaptiveSpectralThreshold) * skewWeight,
+                weight: 0.25,
+                detected: spectralFlux > adaptiveSpectralThreshold
+            },
+            mouthBandTransient: {
+                confidence: Math.min(2.0, mouthBandRatio / adaptiveTransientThreshold) * skewWeight,
+                weight: 0.2,
+                detected: transientDetected
+            },
+            highFreqBurst: {
+                confidence: Math.min(2.0, highFreqBurst / 2.0) * skewWeight,
+                weight: 0.15,
+                detected: burstDetected
+            },
+            amplitudeSpike: {
+                confidence: amplitudeSpike ? 1.5 : 0,
+                weight: 0.05,
+                detected: amplitudeSpike
+            }
+        };
+
+        // calculate weighted confidence
+        let totalWeight = 0;
+        let weightedConfidence = 0;
+
+        Object.values(detectionMethods).forEach(method => {
+            totalWeight += method.weight;
+            weightedConfidence += method.confidence * method.weight;
+        });
+
+        const finalConfidence = totalWeight > 0 ? weightedConfidence / totalWeight : 0;
+
+        // on the scale of the confidence requirements, where 0.5 is a marginal click at sensitivity 1
+        const ruleConfidence = finalConfidence / 1.5;
+
+        // speech protection: voicing, frication and plosive bursts raise the confidence required
+        // (here and in the rate limiter) rather than lowering the confidence itself
+        this.speechProtection = speech.protection;
+        const speechFactor = this.speechFactor();
+
+        // exponentially scaled confidence threshold
+        const confidenceSensitivity = Math.pow(this.params.sensitivity, 1.5); // moderate exponential scaling
+        const scaledConfidenceThreshold = this.threshold('confidenceThreshold') / confidenceSensitivity;
+        const dynamicThreshold = Math.min(this.adaptiveThreshold, scaledConfidenceThreshold) * speechFactor;
+
+        const isClickDetected = ruleConfidence > dynamicThreshold ||
+                               (lpcConfidence > (1.5 / confidenceSensitivity) && spectralFlux > adaptiveSpectralThreshold) ||
+                               (amplitudeSpike && mouthBandRatio > (0.5 / Math.sqrt(confidenceSensitivity)) && lpcConfidence > (1.0 / confidenceSensitivity));
+
+        // the classifier sees the measurements without any sensitivity scaling or site feedback;
+        // the lpc error is taken relative to the mode's threshold at sensitivity 1 so it stays on the same scale
+        const features = {
+            lpcConfidence: errorRMS / (this.modeThreshold('lpcError') / Math.max(1.0, loudnessInfo.snr / 10)),
+            spectralFlux,
+            spectralCentroid,
+            spectralSpread,
+            mouthBandRatio,
+            highFreqBurst,
+            periodicity: speech.periodicity,
+            pitchStability: speech.pitchStability,
+            levelAboveFloor: speech.level - speech.noiseFloor
+        };
+        const decision = this.decide(features, ruleConfidence, isClickDetected);
+        if (decision.modelDetected) detectionMethods.classifier = { detected: true };
+
+        // rate limiting and click prioritization
+        const droppedBefore = this.droppedClicks;
+        const shouldProcessClick = this.shouldProcessClick(decision.detected, decision.confidence, currentTime);
+
+        return {
+            isClick: shouldProcessClick,
+            // detected before rate limiting, so dropped clicks can be told apart from quiet frames
+            detected: decision.detected,
+            rateLimited: this.droppedClicks > droppedBefore,
+            confidence: decision.confidence,
+            // click probability from the classifier, null when the rules decide alone
+            probability: decision.probability,
+            lpcConfidence,
+            spectralConfidence: finalConfidence,
+            // offset of the strongest prediction error from the end of the frame, used to place the repair
+            clickOffset: frame.clickOffset,
+            // names of the individual detectors that fired on this frame
+            detectors: Object.keys(detectionMethods).filter(name => detectionMethods[name].detected),
+            details: {
+                errorRMS,
+                errorPeak,
+                errorThreshold: adaptiveErrorThreshold,
+                spectralFlux,
+                mouthBandRatio,
+                spectralCentroid,
+                broadbandRatio,
+                highFreqBurst,
+                amplitudeSpike,
+                maxAmplitude,
+                skewWeight,
+                speechProtection: speech.protection,
+                speech,
+                ruleConfidence,
+                features,
+                bandEnergies,
+                bandRise,
+                loudnessInfo,
+                dynamicThreshold,
+                adaptiveSpectralThreshold,
+                adaptiveTransientThreshold
+            }
+        };
+    }
+
+    // calculate spectral centroid (brightness measure)
+    calculateSpectralCentroid(freqData) {
+        let numerator = 0;
+        let denominator = 0;
+
+        for (let i = 0; i < freqData.length; i++) {
+            const freq = (i * this.sampleRate) / (2 * freqData.length);
+            const magnitude = Math.pow(10, freqData[i] / 20);
+            numerator += freq * magnitude;
+            denominator += magnitude;
+        }
+
+        return denominator > 0 ? numerator / denominator : 0;
+    }
+
+    // calculate spectral spread (measure of frequency distribution)
+    calculateSpectralSpread(freqData, centroid) {
+        let numerator = 0;
+        let denominator = 0;
+
+        for (let i = 0; i < freqData.length; i++) {
+            const freq = (i * this.sampleRate) / (2 * freqData.length);
+            const magnitude = Math.pow(10, freqData[i] / 20);
+            numerator += Math.pow(freq - centroid, 2) * magnitude;
+            denominator += magnitude;
+        }
+
+        return denominator > 0 ? Math.sqrt(numerator / denominator) : 0;
+    }
+
+    // combine the rules' verdict with the classifier's according to params.detectionMethod
+    // 'model' takes the click probability as the confidence, so the rate limiter's requirement
+    // is the probability a click needs; 'ensemble' averages it with the rules' confidence and
+    // counts a detection from either side
+    decide(features, ruleConfidence, ruleDetected) {
+        const method = this.classifier ? this.params.detectionMethod : 'rules';
+        if (method !== 'model' && method !== 'ensemble') {
+            return { detected: ruleDetected, confidence: ruleConfidence, probability: null, modelDetected: false };
+        }
+
+        const probability = this.classifier.predict(features);
+        const modelDetected = probability > this.requiredConfidence(1, this.params.feedbackScale);
+        if (method === 'model') {
+            return { detected: modelDetected, confidence: probability, probability, modelDetected };
+        }
+        return {
+            detected: ruleDetected || modelDetected,
+            confidence: (ruleConfidence + probability) / 2,
+            probability,
+            modelDetected
+        };
+    }
+}
+
+// expose to the worklet global scope, or to node for offline tooling
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MouthClickDetector };
+} else {
+    globalThis.MouthClickDetector = MouthClickDetector;
+}
@@ -0,0 +1,83 @@
+// feedback labels: the user marking a click detection missed, or speech it took for a click
+// shared by the content scripts, the popup, the background worker and node tooling
+//
+// storage layout (chrome.storage.local, written by the background worker only):
+//   feedbackLabels: { [hostname]: [{ kind: 'miss' | 'speech', time, mode, margin, features }] }
+//
+// margin is the marked frame's confidence over the confidence a click needs (requiredConfidence
+// in dsp.js), below 1 for a click that was missed and above 1 for speech that was taken for one.
+// features are the measurements the classifier reads (see detectMouthClick in dsp.js)
+
+const FEEDBACK_KINDS = {
+    miss: { label: 'missed click', toast: 'marked as a missed click' },
+    speech: { label: 'speech', toast: 'marked as speech' }
+};
+
+// oldest labels of a site are dropped past this
+const FEEDBACK_MAX_LABELS = 100;
+
+// how far the labels can move a site's thresholds either way
+const FEEDBACK_SCALE_RANGE = [0.5, 2.0];
+
+const Feedback = {
+    isValidKind(kind) {
+        return Object.prototype.hasOwnProperty.call(FEEDBACK_KINDS, kind);
+    },
+
+    // a stored label from a frame the worklet picked for the mark
+    createLabel(kind, frame, time = Date.now()) {
+        const features = {};
+        Object.keys(frame.features || {}).forEach(name => {
+            const value = frame.features[name];
+            features[name] = isFinite(value) ? Number(value.toPrecision(4)) : 0;
+        });
+        return {
+            kind,
+            time,
+            mode: frame.mode,
+            margin: Number(frame.margin.toFixed(3)),
+            features
+        };
+    },
+
+    // labels of one site with a new one added, keeping the most recent
+    addLabel(feedbackLabels, hostname, label) {
+        const labels = [...((feedbackLabels || {})[hostname] || []), label];
+        return { ...feedbackLabels, [hostname]: labels.slice(-FEEDBACK_MAX_LABELS) };
+    },
+
+    // factor a single label moves the thresholds by. the rules' confidence is measured against
+    // the thresholds, so scaling them by s divides a frame's margin by about s; the square root
+    // closes half the gap (in log terms) a label points at. a miss lowers the thresholds, speech
+    // raises them, and labels right at the edge still nudge a little
+    labelFactor(label) {
+        const margin = isFinite(label.margin) && label.margin > 0 ? label.margin : 1;
+        if (label.kind === 'miss') return Math.sqrt(Math.max(0.5, Math.min(0.95, margin)));
+        if (label.kind === 'speech') return Math.sqrt(Math.max(1.05, Math.min(2.0, margin)));
+        return 1;
+    },
+
+    // a site's factor on the detection thresholds, replaying its labels oldest first
+    thresholdScale(labels) {
+        const [min, max] = FEEDBACK_SCALE_RANGE;
+        return (labels || []).reduce((scale, label) =>
+            Math.max(min, Math.min(max, scale * this.labelFactor(label))), 1);
+    },
+
+    // label counts by kind, for the popup
+    summarize(labels) {
+        const counts = {};
+        Object.keys(FEEDBACK_KINDS).forEach(kind => {
+            counts[kind] = (labels || []).filter(label => label.kind === kind).length;
+        });
+        return counts;
+    }
+};
+
+// expose to the page and worker global scopes, or to node for offline tooling
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FEEDBACK_KINDS, FEEDBACK_MAX_LABELS, Feedback };
+} else {
+    globalThis.FEEDBACK_KINDS = FEEDBACK_KINDS;
+    globalThis.Feedback = Feedback;
+}
@@ -0,0 +1,88 @@
+// registry of latency profiles: how far the processed audio runs behind the input, and the
+// analysis window and repair timing that fit in that lookahead
+// shared by the content scripts, the audio worklet, the popup, the offline page and node tooling
+//
+// each profile describes:
+//   lookahead:   delay of the processed audio (s), the time detection has to repair a click
+//                before it is heard
+//   frameSize:   analysis frame (samples); a click is placed anywhere in the frame, so the frame
+//                has to fit in the lookahead with room for the pre-fade. the detector is tuned on
+//                1024, wider frames took more speech for clicks on the test fixtures
+//   preFade:     shortest fade down ahead of a click (s)
+//   contextGaps: interpolation context on each side of a click, in lengths of the click region
+
+const LATENCY_PROFILES = {
+    live: {
+        label: '20ms',
+        description: 'keeps lips in sync on calls and live streams; shorter fades, interpolation often falls back to ducking',
+        lookahead: 0.02,
+        frameSize: 512,
+        preFade: 0.002,
+        contextGaps: 1
+    },
+    low: {
+        label: '60ms',
+        description: 'barely noticeable delay with full-size analysis',
+        lookahead: 0.06,
+        frameSize: 1024,
+        preFade: 0.005,
+        contextGaps: 2
+    },
+    standard: {
+        label: '120ms',
+        description: 'room for every repair method',
+        lookahead: 0.12,
+        frameSize: 1024,
+        preFade: 0.01,
+        contextGaps: 2
+    },
+    quality: {
+        label: '250ms',
+        description: 'softest fades and the most context for rebuilding clicks, for audio without a picture to sync',
+        lookahead: 0.25,
+        frameSize: 1024,
+        preFade: 0.02,
+        contextGaps: 4
+    }
+};
+
+// profile the 'auto' setting picks for each kind of content (see MediaDiscovery.contentType)
+const AUTO_LATENCY = {
+    live: 'live',
+    video: 'standard',
+    audio: 'quality'
+};
+
+const Latency = {
+    ids() {
+        return Object.keys(LATENCY_PROFILES);
+    },
+
+    isValid(id) {
+        return Object.prototype.hasOwnProperty.call(LATENCY_PROFILES, id);
+    },
+
+    // unknown ids fall back to the standard profile
+    get(id) {
+        return LATENCY_PROFILES[this.isValid(id) ? id : 'standard'];
+    },
+
+    // the profile a setting ('auto' or a profile id) selects for the given content type
+    resolve(setting, contentType) {
+        if (this.isValid(setting)) return setting;
+        return AUTO_LATENCY[contentType] || 'standard';
+    },
+
+    // longest lookahead of any profile, for sizing delay lines
+    maxLookahead() {
+        return Math.max(...Object.values(LATENCY_PROFILES).map(profile => profile.lookahead));
+    }
+};
+
+// expose to the page and worklet global scopes, or to node for offline tooling
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LATENCY_PROFILES, Latency };
+} else {
+    globalThis.LATENCY_PROFILES = LATENCY_PROFILES;
+    globalThis.Latency = Latency;
+}
@@ -0,0 +1,172 @@
+// media discovery for audio and video elements in the page, open shadow roots
+// and same-origin iframes, including elements inserted after load. players the page
+// never inserts (new Audio()) fire play on the element alone and aren't found
+
+// lengths (s) beyond this are taken for a live stream's placeholder, about eleven days
+const LIVE_PLACEHOLDER_DURATION = 1e6;
+
+const MediaDiscovery = {
+    elements: new Set(),
+    observedRoots: new WeakSet(),
+    observer: null,
+    pendingNodes: new Set(),
+    scanFrame: null,
+    onMediaPlay: null,
+    onMediaRemoved: null,
+
+    init(onMediaPlay, onMediaRemoved) {
+        this.onMediaPlay = onMediaPlay;
+        this.onMediaRemoved = onMediaRemoved;
+        this.observer = new MutationObserver((mutations) => this.handleMutations(mutations));
+        this.watchRoot(document);
+    },
+
+    isMediaElement(node) {
+        return node && (node.tagName === 'VIDEO' || node.tagName === 'AUDIO');
+    },
+
+    // observe a document or shadow root for play events and inserted nodes
+    watchRoot(root) {
+        if (this.observedRoots.has(root)) return;
+        this.observedRoots.add(root);
+
+        // play doesn't cross shadow or frame boundaries, so each root gets its own listener
+        root.addEventListener('play', (event) => {
+            if (this.isMediaElement(event.target)) {
+                this.register(event.target);
+                this.onMediaPlay(event.target);
+            }
+        }, true);
+
+        this.observer.observe(root, { childList: true, subtree: true });
+        this.scan(root);
+    },
+
+    // same-origin frames are watched directly, cross-origin ones stay inaccessible. a frame's
+    // document unloads when the frame is removed or navigates, its media goes with it
+    watchFrame(frame) {
+        const attach = () => {
+            try {
+                const frameDocument = frame.contentDocument;
+                if (!frameDocument || this.observedRoots.has(frameDocument)) return;
+                frame.contentWindow.addEventListener('pagehide', () => this.releaseDocument(frameDocument));
+                this.watchRoot(frameDocument);
+            } catch (error) {
+                handleError(error, 'watchFrame');
+            }
+        };
+        frame.addEventListener('load', attach);
+        attach();
+    },
+
+    scan(root) {
+        if (this.isMediaElement(root)) this.register(root);
+        if (root.tagName === 'IFRAME') this.watchFrame(root);
+        if (root.shadowRoot) this.watchRoot(root.shadowRoot);
+        if (!root.querySelectorAll) return;
+
+        root.querySelectorAll('video, audio, iframe').forEach(element => {
+            if (element.tagName === 'IFRAME') {
+                this.watchFrame(element);
+            } else {
+                this.register(element);
+            }
+        });
+        // no selector matches a shadow host, so those take a walk of the subtree
+        root.querySelectorAll('*').forEach(element => {
+            if (element.shadowRoot) this.watchRoot(element.shadowRoot);
+        });
+    },
+
+    register(element) {
+        if (this.elements.has(element)) return;
+        this.elements.add(element);
+
+        // media that started before we saw it never fires another play event
+        if (!element.paused) {
+            this.onMediaPlay(element);
+        }
+    },
+
+    // stop tracking an element; discarded when its document is gone for good, so it can never
+    // play or be inserted again
+    release(element, discarded) {
+        this.elements.delete(element);
+        if (this.onMediaRemoved) this.onMediaRemoved(element, discarded);
+    },
+
+    releaseDocument(frameDocument) {
+        this.elements.forEach(element => {
+            if (element.ownerDocument === frameDocument) this.release(element, true);
+        });
+    },
+
+    // inserted nodes are scanned once per animation frame, however many mutations
+    // a page's rendering takes to build them; media that plays first is found by its play event
+    handleMutations(mutations) {
+        let removed = false;
+        for (const mutation of mutations) {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) this.pendingNodes.add(node);
+            });
+            if (mutation.removedNodes.length > 0) removed = true;
+        }
+        if (this.pendingNodes.size > 0 && this.scanFrame === null) {
+            this.scanFrame = requestAnimationFrame(() => this.scanPending());
+        }
+
+        // media in a removed frame stays connected to the frame's document, which has lost its window
+        if (removed) {
+            this.elements.forEach(element => {
+                const discarded = !element.ownerDocument.defaultView;
+                if (!element.isConnected || discarded) this.release(element, discarded);
+            });
+        }
+    },
+
+    // a node inside another inserted node is covered by that one's scan, one taken out again by nothing
+    scanPending() {
+        const nodes = this.pendingNodes;
+        this.pendingNodes = new Set();
+        this.scanFrame = null;
+
+        nodes.forEach(node => {
+            if (!node.isConnected) return;
+            for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+                if (nodes.has(parent)) return;
+            }
+            this.scan(node);
+        });
+    },
+
+    // where the element lives, for the popup's media list
+    locate(element) {
+        const root = element.getRootNode();
+        if (root.host) return 'shadow';
+        return element.ownerDocument === document ? 'document' : 'iframe';
+    },
+
+    // what the element plays: 'live' for calls and live streams, which have no fixed length
+    // (some players give live streams a placeholder length far beyond any recording), otherwise
+    // 'video' or 'audio' on demand. the length is unknown until metadata loads, which counts as on demand
+    contentType(element) {
+        const duration = element.duration;
+        if (element.srcObject || duration === Infinity || duration > LIVE_PLACEHOLDER_DURATION) return 'live';
+        return element.tagName === 'VIDEO' ? 'video' : 'audio';
+    },
+
+    // short human-readable name for an element
+    describe(element) {
+        const title = element.getAttribute('aria-label') || element.title;
+        if (title) return title;
+
+        const src = element.currentSrc || element.src || '';
+        if (!src || src.startsWith('blob:') || src.startsWith('data:')) return 'stream';
+        try {
+            const url = new URL(src);
+            return decodeURIComponent(url.pathname.split('/').pop()) || url.hostname;
+        } catch (error) {
+            return src;
+        }
+    }
+};
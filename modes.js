@@ -0,0 +1,139 @@
+// registry of detection modes, one per kind of trigger sound
+// shared by the content scripts, the audio worklet, the popup, the background worker and node tooling
+//
+// several modes can be active at once; each runs its own detector on the same analysis frame
+//
+// each mode describes:
+//   color:          marks the mode's events in the debug panel
+//   bandWeights:    factors on params.freqWeights (low, mid, high, mouth)
+//   thresholdScale: factors on params.thresholds, below 1 fires more easily
+//   minWidening:    click widening (ms) the mode's repairs never go below
+//   skewShift:      added to the frequency skew for the mode's detector
+//   repair:         wideningScale stretches the repaired region, releaseScale the fade back in,
+//                   maxReduction (db) caps how deep the mode's repairs go
+//   rateLimit:      default rate limits of the mode's detector
+
+const DETECTION_MODES = {
+    click: {
+        label: 'click',
+        description: 'sharp, brief transients: lip ticks, saliva clicks',
+        color: '#FFD700',
+        bandWeights: {},
+        thresholdScale: {},
+        minWidening: 0,
+        skewShift: 0,
+        repair: { wideningScale: 1.0, releaseScale: 1.0, maxReduction: -60 },
+        rateLimit: { maxClicksPerSecond: 8, minClickInterval: 125, suppression: 50, adaptive: false }
+    },
+    smack: {
+        label: 'smack',
+        description: 'longer, wet mouth sounds: lip smacks, mouth opening',
+        color: '#ff9f43',
+        bandWeights: {},
+        thresholdScale: {},
+        minWidening: 8,
+        skewShift: -0.2,
+        repair: { wideningScale: 1.5, releaseScale: 1.0, maxReduction: -60 },
+        rateLimit: { maxClicksPerSecond: 8, minClickInterval: 125, suppression: 50, adaptive: false }
+    },
+    chewing: {
+        label: 'chew',
+        description: 'crunching and chewing, broadband bursts in a slow rhythm',
+        color: '#7bed9f',
+        bandWeights: { low: 2.0, mid: 1.6, high: 0.8, mouth: 0.8 },
+        thresholdScale: { transientRatio: 0.8, spectralFlux: 0.9 },
+        minWidening: 12,
+        skewShift: -0.3,
+        repair: { wideningScale: 1.5, releaseScale: 1.5, maxReduction: -60 },
+        rateLimit: { maxClicksPerSecond: 6, minClickInterval: 150, suppression: 60, adaptive: true }
+    },
+    slurping: {
+        label: 'slurp',
+        description: 'drinking and slurping, long noisy high-frequency sounds',
+        color: '#70a1ff',
+        bandWeights: { mid: 1.2, high: 1.4, mouth: 0.8 },
+        thresholdScale: { spectralFlux: 0.8, lpcError: 1.2 },
+        minWidening: 20,
+        skewShift: 0.2,
+        repair: { wideningScale: 2.0, releaseScale: 2.0, maxReduction: -30 },
+        rateLimit: { maxClicksPerSecond: 4, minClickInterval: 200, suppression: 120, adaptive: false }
+    },
+    breathing: {
+        label: 'breath',
+        description: 'loud breathing, slow-onset noise in the mids',
+        color: '#eccc68',
+        bandWeights: { low: 1.5, mid: 2.0, mouth: 0.5 },
+        thresholdScale: { lpcError: 1.5, spectralFlux: 0.7, confidenceThreshold: 1.2 },
+        minWidening: 20,
+        skewShift: -0.2,
+        repair: { wideningScale: 2.0, releaseScale: 2.5, maxReduction: -18 },
+        rateLimit: { maxClicksPerSecond: 3, minClickInterval: 300, suppression: 150, adaptive: false }
+    },
+    typing: {
+        label: 'typing',
+        description: 'keyboard typing and pen clicks, short bright ticks in quick runs',
+        color: '#ffffff',
+        bandWeights: { low: 1.5, mid: 1.3, high: 1.5, mouth: 0.7 },
+        thresholdScale: { transientRatio: 0.9 },
+        minWidening: 0,
+        skewShift: 0.3,
+        repair: { wideningScale: 1.0, releaseScale: 0.7, maxReduction: -60 },
+        rateLimit: { maxClicksPerSecond: 12, minClickInterval: 60, suppression: 30, adaptive: true }
+    },
+    sniffing: {
+        label: 'sniff',
+        description: 'sniffing, short noisy bursts of high-frequency air',
+        color: '#ff6bcb',
+        bandWeights: { low: 0.5, high: 1.4, mouth: 0.7 },
+        thresholdScale: { spectralFlux: 0.85 },
+        minWidening: 10,
+        skewShift: 0.2,
+        repair: { wideningScale: 1.5, releaseScale: 1.5, maxReduction: -24 },
+        rateLimit: { maxClicksPerSecond: 4, minClickInterval: 200, suppression: 80, adaptive: false }
+    }
+};
+
+const Modes = {
+    ids() {
+        return Object.keys(DETECTION_MODES);
+    },
+
+    isValid(id) {
+        return Object.prototype.hasOwnProperty.call(DETECTION_MODES, id);
+    },
+
+    // unknown ids (a mode removed since the setting was stored) fall back to click
+    get(id) {
+        return this.isValid(id) ? DETECTION_MODES[id] : DETECTION_MODES.click;
+    },
+
+    // the mode after id, wrapping around; used by the mode shortcut
+    next(id) {
+        const ids = this.ids();
+        return ids[(ids.indexOf(id) + 1) % ids.length];
+    },
+
+    // the active modes from a stored list, or from the single mode older settings kept
+    resolve(modes, fallbackMode = 'click') {
+        const list = Array.isArray(modes) ? modes : [fallbackMode];
+        const valid = list.filter((id, index) => this.isValid(id) && list.indexOf(id) === index);
+        return valid.length > 0 ? valid : ['click'];
+    },
+
+    // fresh copy of every mode's default rate limits, keyed by mode
+    defaultRateLimits() {
+        const rateLimits = {};
+        this.ids().forEach(id => {
+            rateLimits[id] = { ...DETECTION_MODES[id].rateLimit };
+        });
+        return rateLimits;
+    }
+};
+
+// expose to the worklet global scope, or to node for offline tooling
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DETECTION_MODES, Modes };
+} else {
+    globalThis.DETECTION_MODES = DETECTION_MODES;
+    globalThis.Modes = Modes;
+}
@@ -0,0 +1,208 @@
+document.addEventListener('DOMContentLoaded', function () {
+    // get all control elements
+    const dropZone = document.getElementById('dropZone');
+    const fileInput = document.getElementById('fileInput');
+    const fileName = document.getElementById('fileName');
+    const processButton = document.getElementById('processButton');
+    const bitDepthButtons = document.querySelectorAll('#bitDepth .mode-option');
+
+    // progress and result displays
+    const progressBar = document.getElementById('progressBar');
+    const statusText = document.getElementById('statusText');
+    const downloadLink = document.getElementById('downloadLink');
+
+    let selectedFile = null;
+    let bitDepth = 16;
+    let downloadUrl = null;
+
+    function setStatus(text, progress) {
+        statusText.textContent = text;
+        if (progress !== undefined) {
+            progressBar.style.width = `${Math.round(progress * 100)}%`;
+        }
+    }
+
+    function selectFile(file) {
+        if (!file) return;
+        selectedFile = file;
+        fileName.textContent = file.name;
+        processButton.disabled = false;
+        downloadLink.hidden = true;
+        setStatus('ready', 0);
+    }
+
+    // decode at the browser's output rate, which is what the processing chain runs at
+    function decodeFile(file) {
+        const decoder = new AudioContext();
+        return file.arrayBuffer()
+            .then(data => decoder.decodeAudioData(data))
+            .finally(() => decoder.close());
+    }
+
+    // run the decoded audio through the same de-click chain the content script uses
+    function renderCleaned(input) {
+        // room for the full delay line so the tail isn't cut off
+        const context = new OfflineAudioContext(
+            input.numberOfChannels,
+            input.length + Math.ceil(Latency.maxLookahead() * input.sampleRate),
+            input.sampleRate
+        );
+        // a file has no picture to keep in sync, so 'auto' gives it the most lookahead
+        const deClicker = new AdvancedMouthDeClicker(context, {
+            label: selectedFile.name,
+            contentType: 'audio',
+            channels: input.numberOfChannels,
+            debugOverlay: false
+        });
+        const source = context.createBufferSource();
+        source.buffer = input;
+        deClicker.processAudio(source);
+
+        return deClicker.settingsReady
+            .then(() => {
+                // the user asked for this file to be cleaned, whatever the live toggle says
+                deClicker.processingEnabled = true;
+                return deClicker.startDetection();
+            })
+            .then(() => {
+                if (!deClicker.processorNode) {
+                    throw new Error('audio worklet unavailable');
+                }
+
+                // report progress from regular suspend points
+                const step = Math.max(0.5, input.duration / 50);
+                const scheduleProgress = (time) => {
+                    if (time >= input.duration) return;
+                    context.suspend(time).then(() => {
+                        setStatus(`processing... ${deClicker.clickCount} clicks`, time / input.duration);
+                        scheduleProgress(time + step);
+                        context.resume();
+                    });
+                };
+                scheduleProgress(step);
+
+                source.start(0);
+                return context.startRendering();
+            })
+            .then(rendered => ({
+                rendered,
+                // drop the lookahead so the export lines up with the original
+                offset: Math.round(deClicker.delayNode.delayTime.value * input.sampleRate),
+                length: input.length,
+                clickCount: deClicker.clickCount
+            }));
+    }
+
+    function writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+
+    // encode frames [offset, offset + length) of a buffer as 16 or 24-bit pcm wav
+    function encodeWav(buffer, depth, offset, length) {
+        const channels = buffer.numberOfChannels;
+        const bytesPerSample = depth / 8;
+        const blockAlign = channels * bytesPerSample;
+        const dataSize = length * blockAlign;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+        writeString(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(view, 8, 'WAVE');
+        writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // pcm
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, depth, true);
+        writeString(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channelData = [];
+        for (let c = 0; c < channels; c++) {
+            channelData.push(buffer.getChannelData(c));
+        }
+
+        const maxValue = depth === 16 ? 0x7fff : 0x7fffff;
+        let position = 44;
+        for (let i = 0; i < length; i++) {
+            for (let c = 0; c < channels; c++) {
+                const sample = Math.max(-1, Math.min(1, channelData[c][offset + i] || 0));
+                const value = Math.round(sample * maxValue);
+                if (depth === 16) {
+                    view.setInt16(position, value, true);
+                } else {
+                    view.setUint8(position, value & 0xff);
+                    view.setUint8(position + 1, (value >> 8) & 0xff);
+                    view.setUint8(position + 2, (value >> 16) & 0xff);
+                }
+                position += bytesPerSample;
+            }
+        }
+
+        return new Blob([view], { type: 'audio/wav' });
+    }
+
+    function processSelectedFile() {
+        processButton.disabled = true;
+        downloadLink.hidden = true;
+        setStatus('decoding...', 0);
+
+        decodeFile(selectedFile)
+            .then(input => {
+                setStatus('processing...', 0);
+                return renderCleaned(input);
+            })
+            .then(result => {
+                const blob = encodeWav(result.rendered, bitDepth, result.offset, result.length);
+                if (downloadUrl) URL.revokeObjectURL(downloadUrl);
+                downloadUrl = URL.createObjectURL(blob);
+
+                downloadLink.href = downloadUrl;
+                downloadLink.download = `${selectedFile.name.replace(/\.[^.]+$/, '')}-cleaned.wav`;
+                downloadLink.hidden = false;
+                setStatus(`done, ${result.clickCount} clicks removed`, 1);
+            })
+            .catch(error => {
+                handleError(error, 'processSelectedFile');
+                setStatus(`could not process file: ${error.message}`, 0);
+            })
+            .finally(() => {
+                processButton.disabled = false;
+            });
+    }
+
+    // event listeners
+    dropZone.addEventListener('click', () => fileInput.click());
+
+    dropZone.addEventListener('dragover', function (e) {
+        e.preventDefault();
+        dropZone.classList.add('dragging');
+    });
+
+    dropZone.addEventListener('dragleave', function () {
+        dropZone.classList.remove('dragging');
+    });
+
+    dropZone.addEventListener('drop', function (e) {
+        e.preventDefault();
+        dropZone.classList.remove('dragging');
+        selectFile(e.dataTransfer.files[0]);
+    });
+
+    fileInput.addEventListener('change', function (e) {
+        selectFile(e.target.files[0]);
+    });
+
+    bitDepthButtons.forEach(button => {
+        button.addEventListener('click', function () {
+            bitDepth = parseInt(button.dataset.depth);
+            bitDepthButtons.forEach(other => other.classList.toggle('active', other === button));
+        });
+    });
+
+    processButton.addEventListener('click', processSelectedFile);
+});
@@ -1,11 +1,57 @@
 document.addEventListener('DOMContentLoaded', function () {
     // get all control elements
     const processingToggle = document.getElementById('enableProcessing');
+    const scopeButtons = document.querySelectorAll('#processingScope .mode-option');
+    const saveStatus = document.getElementById('saveStatus');
+    const scopeStatus = document.getElementById('scopeStatus');
+    const resetSiteButton = document.getElementById('resetSite');
+    const manageSitesButton = document.getElementById('manageSites');
     const debugToggle = document.getElementById('showDebug');
+    const timelineToggle = document.getElementById('showTimeline');
     
-    // mode selector
-    const clickMode = document.getElementById('clickMode');
-    const smackMode = document.getElementById('smackMode');
+    // mode selector, one toggle per registered detection mode; any combination can run at once
+    const modeSelector = document.getElementById('modeSelector');
+    const modeButtons = Modes.ids().map(id => {
+        const mode = Modes.get(id);
+        const button = document.createElement('button');
+        button.className = 'mode-option';
+        button.dataset.mode = id;
+        button.textContent = mode.label;
+        button.title = mode.description;
+        modeSelector.appendChild(button);
+        return button;
+    });
+    
+    // monitoring selector for the active tab
+    const monitoringButtons = document.querySelectorAll('#monitoring .mode-option');
+    
+    // repair method selector
+    const repairButtons = document.querySelectorAll('#repairMethod .mode-option');
+
+    // detection method selector
+    const detectorButtons = document.querySelectorAll('#detectionMethod .mode-option');
+
+    // stereo handling selector
+    const channelButtons = document.querySelectorAll('#channelMode .mode-option');
+
+    // latency selector: 'auto' picks a profile by what the page plays, or one profile for everything
+    const CONTENT_LABELS = { live: 'live streams and calls', video: 'video', audio: 'audio' };
+    const autoLatencySummary = Object.keys(CONTENT_LABELS)
+        .map(type => `${Latency.get(Latency.resolve('auto', type)).label} for ${CONTENT_LABELS[type]}`)
+        .join(', ');
+    const latencySelector = document.getElementById('latencyProfile');
+    const latencyStatus = document.getElementById('latencyStatus');
+    const latencyButtons = ['auto', ...Latency.ids()].map(id => {
+        const button = document.createElement('button');
+        button.className = 'mode-option';
+        button.dataset.latency = id;
+        button.textContent = id === 'auto' ? 'auto' : Latency.get(id).label;
+        button.title = id === 'auto' ? `pick by content: ${autoLatencySummary}` : Latency.get(id).description;
+        latencySelector.appendChild(button);
+        return button;
+    });
+    let latencySetting = 'auto';
+    let pageMedia = [];
     
     // sliders
     const sensitivitySlider = document.getElementById('sensitivitySlider');
@@ -13,55 +59,698 @@ document.addEventListener('DOMContentLoaded', function () {
     const clickWideningSlider = document.getElementById('clickWideningSlider');
     const reductionAmountSlider = document.getElementById('reductionAmountSlider');
     
+    // rate limits of the current mode
+    const rateMaxSlider = document.getElementById('rateMaxSlider');
+    const rateIntervalSlider = document.getElementById('rateIntervalSlider');
+    const rateSuppressionSlider = document.getElementById('rateSuppressionSlider');
+    const rateAdaptiveToggle = document.getElementById('rateAdaptive');
+    const rateMaxValue = document.getElementById('rateMaxValue');
+    const rateIntervalValue = document.getElementById('rateIntervalValue');
+    const rateSuppressionValue = document.getElementById('rateSuppressionValue');
+    const rateLimitStatus = document.getElementById('rateLimitStatus');
+    
     // value displays
     const sensitivityValue = document.getElementById('sensitivityValue');
     const frequencySkewValue = document.getElementById('frequencySkewValue');
     const clickWideningValue = document.getElementById('clickWideningValue');
     const reductionAmountValue = document.getElementById('reductionAmountValue');
+    
+    // media list for the active tab and processing state of every tab
+    const mediaList = document.getElementById('mediaList');
+    const tabList = document.getElementById('tabList');
+    
+    // offline file processing
+    const openOfflineButton = document.getElementById('openOffline');
+    
+    // presets and their site/channel/pattern rules
+    const presetStatusText = document.getElementById('presetStatus');
+    const presetSelect = document.getElementById('presetSelect');
+    const assignSiteButton = document.getElementById('assignSite');
+    const assignChannelButton = document.getElementById('assignChannel');
+    const clearRuleButton = document.getElementById('clearRule');
+    const patternInput = document.getElementById('patternInput');
+    const assignPatternButton = document.getElementById('assignPattern');
+    const presetNameInput = document.getElementById('presetName');
+    const savePresetButton = document.getElementById('savePreset');
+    const applyPresetButton = document.getElementById('applyPreset');
+    const renamePresetButton = document.getElementById('renamePreset');
+    const duplicatePresetButton = document.getElementById('duplicatePreset');
+    const deletePresetButton = document.getElementById('deletePreset');
+    const transferPresetsButton = document.getElementById('transferPresets');
+    
+    // calibration
+    const calibrationLengthButtons = document.querySelectorAll('#calibrationLength .mode-option');
+    const startCalibrationButton = document.getElementById('startCalibration');
+    const calibrationProgress = document.getElementById('calibrationProgress');
+    const calibrationProgressBar = document.getElementById('calibrationProgressBar');
+    const calibrationStatusText = document.getElementById('calibrationStatus');
+    const applyCalibrationButton = document.getElementById('applyCalibration');
+    
+    // feedback labels for this site
+    const markMissButton = document.getElementById('markMiss');
+    const markSpeechButton = document.getElementById('markSpeech');
+    const feedbackStatusText = document.getElementById('feedbackStatus');
+    const showFeedbackButton = document.getElementById('showFeedback');
+    const resetFeedbackButton = document.getElementById('resetFeedback');
+    const feedbackList = document.getElementById('feedbackList');
+    
+    let calibrationSeconds = 10;
+    let calibrationResult = null;
+    let calibrationRunning = false;
+    
+    let presets = {};
+    let presetRules = [];
+    let presetStatus = null; // page context reported by the active tab
+    
+    // two-level enable state: the global switch and this site's override, if any
+    let globalEnabled = true;
+    let siteSettings = {};
+    let siteHostname = '';
+    let processingScope = 'global'; // which level the enable toggle edits
+
+    // stored labels of every site, read from local storage; the background worker writes them
+    let feedbackLabels = {};
 
     // default settings for aggressive mouth de-click
     const defaults = {
-        processingEnabled: true,
+        globalProcessingEnabled: true,
+        siteSettings: {},
         debugEnabled: false,
+        timelineEnabled: false,
         mode: 'click',
+        modes: ['click'],
         sensitivity: 0.8, // conservative default with exponential scaling
         frequencySkew: 0.0,
         clickWidening: 5,
-        reductionAmount: -60
+        reductionAmount: -60,
+        repairMethod: 'duck',
+        detectionMethod: 'rules',
+        channelMode: 'linked',
+        latencyProfile: 'auto',
+        rateLimits: Modes.defaultRateLimits()
     };
 
+    // stored rate limits per mode; the sliders show the entry of the last mode switched on
+    let rateLimits = mergeRateLimits(defaults.rateLimits, {});
+    let rateLimitMode = 'click';
+
     // load saved settings
-    chrome.storage.sync.get(Object.keys(defaults), function (data) {
+    chrome.runtime.sendMessage({ type: 'getSettings' }).then(function (data) {
+        renderSettings(data);
+        loadSiteHostname();
+    });
+
+    function renderSettings(data) {
         const settings = { ...defaults, ...data };
         
         // set toggles
-        processingToggle.checked = settings.processingEnabled;
+        globalEnabled = settings.globalProcessingEnabled;
+        siteSettings = settings.siteSettings;
         debugToggle.checked = settings.debugEnabled;
+        timelineToggle.checked = settings.timelineEnabled;
         
-        // set mode
-        updateModeButtons(settings.mode);
+        // set modes, older settings only stored one
+        updateModeButtons(Modes.resolve(data.modes, settings.mode));
         
         // set sliders and update displays
         setSensitivity(settings.sensitivity);
         setFrequencySkew(settings.frequencySkew);
         setClickWidening(settings.clickWidening);
         setReductionAmount(settings.reductionAmount);
+        updateRepairButtons(settings.repairMethod);
+        updateDetectorButtons(settings.detectionMethod);
+        updateChannelButtons(settings.channelMode);
+        updateLatencyButtons(settings.latencyProfile);
+
+        rateLimits = mergeRateLimits(defaults.rateLimits, data.rateLimits);
+        renderRateLimits();
+    }
+
+    // keep the media lists current while the popup is open
+    refreshMediaList();
+    refreshTabList();
+    setInterval(() => {
+        refreshMediaList();
+        refreshTabList();
+    }, 1000);
+    
+    loadPresets();
+
+    chrome.storage.local.get(['feedbackLabels'], (data) => {
+        feedbackLabels = data.feedbackLabels || {};
+        renderFeedback();
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local' || !changes.feedbackLabels) return;
+        feedbackLabels = changes.feedbackLabels.newValue || {};
+        renderFeedback();
     });
+    
+    // pick up a calibration that is running or finished while the popup was closed
+    refreshCalibration();
+    setInterval(() => {
+        if (calibrationRunning) refreshCalibration();
+    }, 500);
+
+    // the background worker stores settings and pushes them to every tab
+    // with the active tab, whose preset the change goes on top of; the controls already show the
+    // change, so when the worker can't store it they go back to what it holds
+    function saveSettings(values) {
+        chrome.tabs.query({ active: true, currentWindow: true })
+            .then(tabs => chrome.runtime.sendMessage({ type: 'setSettings', values, tabId: tabs[0] ? tabs[0].id : null }))
+            .then(response => {
+                if (response && response.error) throw new Error(response.error);
+                saveStatus.hidden = true;
+            })
+            .catch(error => {
+                saveStatus.textContent = `not saved: ${error.message}`;
+                saveStatus.hidden = false;
+                return chrome.runtime.sendMessage({ type: 'getSettings' }).then(data => {
+                    renderSettings(data);
+                    renderProcessing();
+                });
+            })
+            .catch(() => { });
+    }
+
+    function sendToActiveTab(message) {
+        return chrome.tabs.query({ active: true, currentWindow: true })
+            .then(tabs => tabs[0] ? chrome.tabs.sendMessage(tabs[0].id, message) : null);
+    }
+
+    // the site the enable scope switch refers to; opening the popup grants access to the tab's url
+    function loadSiteHostname() {
+        chrome.tabs.query({ active: true, currentWindow: true }).then(tabs => {
+            try {
+                const url = new URL(tabs[0].url);
+                siteHostname = /^https?:$/.test(url.protocol) ? url.hostname : '';
+            } catch (error) {
+                siteHostname = '';
+            }
+
+            // start on the level that decides this site
+            processingScope = siteHostname && siteHostname in siteSettings ? 'site' : 'global';
+            renderProcessing();
+            renderFeedback();
+        });
+    }
+
+    function renderProcessing() {
+        const hasOverride = siteHostname in siteSettings;
+        const onOff = (enabled) => enabled ? 'on' : 'off';
+
+        scopeButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.scope === processingScope);
+            if (button.dataset.scope === 'site') button.disabled = !siteHostname;
+        });
+
+        if (processingScope === 'site') {
+            processingToggle.checked = hasOverride ? siteSettings[siteHostname] : globalEnabled;
+            scopeStatus.textContent = hasOverride ?
+                `${siteHostname}: ${onOff(siteSettings[siteHostname])}, overriding global` :
+                `${siteHostname}: following global (${onOff(globalEnabled)})`;
+        } else {
+            processingToggle.checked = globalEnabled;
+            scopeStatus.textContent = !siteHostname ? 'applies to every site without an override' :
+                hasOverride ? `${siteHostname} overrides this (${onOff(siteSettings[siteHostname])})` :
+                `${siteHostname} follows this`;
+        }
+        resetSiteButton.hidden = !hasOverride;
+    }
+
+    // set or clear (enabled = null) this site's override, going back to what was stored when the worker refuses it
+    function saveSiteProcessing(enabled) {
+        const previous = siteSettings;
+        const hostname = siteHostname;
+        siteSettings = { ...siteSettings };
+        if (enabled === null) {
+            delete siteSettings[hostname];
+        } else {
+            siteSettings[hostname] = enabled;
+        }
+        renderProcessing();
+
+        chrome.runtime.sendMessage({ type: 'setSiteProcessing', value: { hostname, enabled } })
+            .then(response => {
+                if (response && response.error) throw new Error(response.error);
+            })
+            .catch(error => {
+                siteSettings = previous;
+                renderProcessing();
+                scopeStatus.textContent = `not saved: ${error.message}`;
+            });
+    }
+
+    // ask the active tab which media elements it found and which are being filtered
+    function refreshMediaList() {
+        sendToActiveTab({ type: 'getMediaStatus' })
+            .then(response => {
+                pageMedia = response ? response.media : [];
+                renderMediaList(pageMedia);
+                renderLatencyStatus();
+                updateMonitoringButtons(response ? response.monitoring : 'processed');
+            })
+            .catch(() => {
+                pageMedia = [];
+                renderMediaList([]);
+                renderLatencyStatus();
+            });
+    }
+
+    // the background worker tracks which tabs have media and whether it is filtered
+    function refreshTabList() {
+        chrome.runtime.sendMessage({ type: 'getTabStatus' })
+            .then(tabs => renderTabList((tabs || []).filter(tab => tab.media > 0)))
+            .catch(() => renderTabList([]));
+    }
+
+    function renderTabList(tabs) {
+        tabList.replaceChildren();
+
+        if (tabs.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'media-empty';
+            empty.textContent = 'no tabs with media';
+            tabList.appendChild(empty);
+            return;
+        }
+
+        tabs.forEach(tab => {
+            const row = document.createElement('div');
+            row.className = 'media-item tab-item';
+            row.addEventListener('click', () => chrome.tabs.update(tab.tabId, { active: true }));
+
+            const label = document.createElement('span');
+            label.className = 'media-label';
+            label.textContent = tab.title || tab.hostname;
+            label.title = `${tab.title} (${tab.hostname})`;
+
+            const state = document.createElement('span');
+            if (tab.filtering > 0) {
+                state.className = 'media-state filtering';
+                state.textContent = `filtering ${tab.filtering}`;
+            } else if (tab.bypassed > 0) {
+                state.className = 'media-state bypassed';
+                state.textContent = 'bypassed';
+            } else {
+                state.className = 'media-state waiting';
+                state.textContent = 'waiting';
+            }
+
+            row.append(label, state);
+            tabList.appendChild(row);
+        });
+    }
+
+    function loadPresets() {
+        Presets.load(function (storedPresets, storedRules) {
+            presets = storedPresets;
+            presetRules = storedRules;
+            renderPresetOptions();
+            renderPresetStatus();
+        }, function (error) {
+            presetStatusText.textContent = `presets not loaded: ${error}`;
+        });
+
+        sendToActiveTab({ type: 'getPresetStatus' })
+            .then(status => {
+                presetStatus = status || null;
+                renderPresetStatus();
+            })
+            .catch(() => renderPresetStatus());
+    }
+
+    function savePresets() {
+        Presets.save(presets, presetRules, function (error) {
+            if (!error) {
+                renderPresetOptions();
+                renderPresetStatus();
+                return;
+            }
+
+            // nothing was stored, show what still is
+            Presets.load(function (storedPresets, storedRules) {
+                presets = storedPresets;
+                presetRules = storedRules;
+                renderPresetOptions();
+                renderPresetStatus();
+                presetStatusText.textContent = `presets not saved: ${error}`;
+            }, function () {
+                presetStatusText.textContent = `presets not saved: ${error}`;
+            });
+        });
+    }
 
-    function updateAllTabs(type, value) {
-        chrome.tabs.query({}, function (tabs) {
-            tabs.forEach(tab => {
-                chrome.tabs.sendMessage(tab.id, {
-                    type,
-                    value
-                }).catch(() => { });
+    function renderPresetOptions() {
+        const selected = presetSelect.value;
+        presetSelect.replaceChildren();
+
+        const addGroup = (label, ids, source) => {
+            if (ids.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            ids.forEach(id => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = source[id].name;
+                group.appendChild(option);
             });
+            presetSelect.appendChild(group);
+        };
+
+        addGroup('built-in', Object.keys(BUILTIN_PRESETS), BUILTIN_PRESETS);
+        addGroup('my presets', Object.keys(presets).sort((a, b) => presets[a].name.localeCompare(presets[b].name)), presets);
+
+        if (Presets.find(presets, selected)) presetSelect.value = selected;
+    }
+
+    // the rule that applies to the active tab, worked out from its reported context
+    function matchedRule() {
+        if (!presetStatus) return null;
+        return Presets.matchRule(presetRules, presetStatus);
+    }
+
+    function renderPresetStatus() {
+        const rule = matchedRule();
+        const preset = rule ? Presets.find(presets, rule.presetId) : null;
+
+        if (!presetStatus) {
+            presetStatusText.textContent = 'presets can be assigned on web pages';
+        } else if (preset) {
+            presetStatusText.textContent = `${preset.name} · matched ${Presets.describeRule(rule)}`;
+            presetSelect.value = rule.presetId;
+        } else {
+            presetStatusText.textContent = 'using global settings';
+        }
+
+        const hasPreset = !!Presets.find(presets, presetSelect.value);
+        const isUserPreset = !!presets[presetSelect.value];
+        applyPresetButton.disabled = !hasPreset;
+        duplicatePresetButton.disabled = !hasPreset;
+        renamePresetButton.disabled = !isUserPreset;
+        deletePresetButton.disabled = !isUserPreset;
+        exportPresetsButton.disabled = Object.keys(presets).length === 0;
+        assignSiteButton.disabled = !presetStatus || !hasPreset;
+        assignChannelButton.disabled = !presetStatus || !presetStatus.channel || !hasPreset;
+        assignChannelButton.title = presetStatus && presetStatus.channel ? presetStatus.channel : 'no channel on this page';
+        assignPatternButton.disabled = !hasPreset;
+        clearRuleButton.disabled = !rule;
+    }
+
+    function assignRule(type, match) {
+        const presetId = presetSelect.value;
+        if (!Presets.find(presets, presetId) || !match) return;
+
+        presetRules = presetRules.filter(rule => !(rule.type === type && rule.match === match));
+        presetRules.push({ type, match, presetId });
+        savePresets();
+    }
+
+    // the popup's current controls, in the shape a preset stores
+    function readCurrentSettings() {
+        const activeRepair = document.querySelector('#repairMethod .mode-option.active');
+        const activeDetector = document.querySelector('#detectionMethod .mode-option.active');
+        const activeChannels = document.querySelector('#channelMode .mode-option.active');
+        return {
+            mode: selectedModes()[0],
+            modes: selectedModes(),
+            sensitivity: parseFloat(sensitivitySlider.value),
+            frequencySkew: parseFloat(frequencySkewSlider.value),
+            clickWidening: parseInt(clickWideningSlider.value),
+            reductionAmount: parseInt(reductionAmountSlider.value),
+            repairMethod: activeRepair ? activeRepair.dataset.method : 'duck',
+            detectionMethod: activeDetector ? activeDetector.dataset.method : 'rules',
+            channelMode: activeChannels ? activeChannels.dataset.channels : 'linked',
+            latencyProfile: latencySetting,
+            rateLimits: mergeRateLimits(rateLimits, {}),
+            thresholds: presetStatus && presetStatus.thresholds ? presetStatus.thresholds : undefined
+        };
+    }
+
+    // make a preset or calibration result the global settings, the same way moving the controls would
+    function applyGlobalSettings(params) {
+        const settings = { ...readCurrentSettings(), ...params };
+        delete settings.thresholds;
+
+        // a preset naming a single mode runs just that mode
+        settings.modes = registryOrder(Modes.resolve(params.modes, settings.mode));
+        settings.mode = settings.modes[0];
+
+        // a preset may only carry limits for some modes
+        rateLimits = mergeRateLimits(rateLimits, params.rateLimits);
+        settings.rateLimits = rateLimits;
+        saveSettings(settings);
+
+        updateModeButtons(settings.modes);
+        setSensitivity(settings.sensitivity);
+        setFrequencySkew(settings.frequencySkew);
+        setClickWidening(settings.clickWidening);
+        setReductionAmount(settings.reductionAmount);
+        updateRepairButtons(settings.repairMethod);
+        updateDetectorButtons(settings.detectionMethod);
+        updateChannelButtons(settings.channelMode);
+        updateLatencyButtons(settings.latencyProfile);
+    }
+
+    function addPreset(name, params) {
+        const id = Presets.createId();
+        presets[id] = { name, params };
+        renderPresetOptions();
+        presetSelect.value = id;
+        return id;
+    }
+
+    function refreshCalibration() {
+        sendToActiveTab({ type: 'getCalibrationStatus' })
+            .then(renderCalibration)
+            .catch(() => renderCalibration(null));
+    }
+
+    function describeCalibrationSettings(settings) {
+        const skewLabels = { '-0.5': 'low-mid', '0.0': 'mouth', '0.5': 'mid-high' };
+        const skew = skewLabels[settings.frequencySkew.toFixed(1)] || settings.frequencySkew.toFixed(1);
+        return `sensitivity ${settings.sensitivity.toFixed(1)}, ${settings.mode}, ${skew}`;
+    }
+
+    function renderCalibration(status) {
+        const running = !!status && (status.state === 'listening' || status.state === 'analyzing');
+        calibrationRunning = running;
+        startCalibrationButton.disabled = running;
+        calibrationProgress.hidden = !running;
+        applyCalibrationButton.hidden = true;
+        calibrationResult = null;
+
+        if (!status) return;
+
+        if (running) {
+            calibrationProgressBar.style.width = `${Math.round(status.progress * 100)}%`;
+            calibrationStatusText.textContent = status.state === 'listening' ?
+                `listening to ${status.label}...` : 'trying settings...';
+        } else if (status.state === 'failed') {
+            calibrationStatusText.textContent = `calibration failed: ${status.error}`;
+        } else if (status.state === 'done') {
+            const { best, current, targetRate } = status.result;
+            const rate = `${best.clicksPerSecond.toFixed(1)}/s`;
+            calibrationStatusText.textContent = best.inTarget ?
+                `suggested: ${describeCalibrationSettings(best)} (${rate}, now ${current.clicksPerSecond.toFixed(1)}/s)` :
+                `closest to ${targetRate[0]}-${targetRate[1]}/s: ${describeCalibrationSettings(best)} (${rate})`;
+            calibrationStatusText.title = calibrationStatusText.textContent;
+            calibrationResult = best;
+            applyCalibrationButton.hidden = false;
+        }
+    }
+
+    function siteFeedbackLabels() {
+        return siteHostname ? feedbackLabels[Presets.normalizeHostname(siteHostname)] || [] : [];
+    }
+
+    function renderFeedback() {
+        const hostname = Presets.normalizeHostname(siteHostname);
+        const labels = siteFeedbackLabels();
+        markMissButton.disabled = !siteHostname;
+        markSpeechButton.disabled = !siteHostname;
+        resetFeedbackButton.disabled = labels.length === 0;
+
+        if (!siteHostname) {
+            feedbackStatusText.textContent = 'feedback is only available on web pages';
+        } else if (labels.length === 0) {
+            feedbackStatusText.textContent = `no labels for ${hostname} yet`;
+        } else {
+            const counts = Feedback.summarize(labels);
+            feedbackStatusText.textContent = `${hostname}: ${counts.miss} missed, ${counts.speech} speech, thresholds ×${Feedback.thresholdScale(labels).toFixed(2)}`;
+        }
+        feedbackStatusText.title = feedbackStatusText.textContent;
+
+        // newest first
+        feedbackList.replaceChildren();
+        labels.slice().reverse().forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'media-item';
+
+            const kind = document.createElement('span');
+            kind.className = 'media-state';
+            kind.textContent = FEEDBACK_KINDS[item.kind] ? FEEDBACK_KINDS[item.kind].label : item.kind;
+
+            const label = document.createElement('span');
+            label.className = 'media-label';
+            label.textContent = `${Modes.get(item.mode).label}, ${item.margin.toFixed(2)}× threshold`;
+            label.title = Object.keys(item.features).map(name => `${name} ${item.features[name]}`).join('\n');
+
+            const time = document.createElement('span');
+            time.className = 'media-kind';
+            time.textContent = new Date(item.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+            row.append(time, label, kind);
+            feedbackList.appendChild(row);
+        });
+    }
+
+    function markFeedback(kind) {
+        sendToActiveTab({ type: 'markFeedback', value: kind })
+            .then(result => {
+                if (result && !result.ok) feedbackStatusText.textContent = result.message;
+            })
+            .catch(() => {
+                feedbackStatusText.textContent = 'reload the page to mark its audio';
+            });
+    }
+
+    function renderMediaList(media) {
+        mediaList.replaceChildren();
+
+        if (media.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'media-empty';
+            empty.textContent = 'no media found';
+            mediaList.appendChild(empty);
+            return;
+        }
+
+        media.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'media-item';
+
+            const kind = document.createElement('span');
+            kind.className = 'media-kind';
+            kind.textContent = item.kind;
+
+            const label = document.createElement('span');
+            label.className = 'media-label';
+            label.textContent = item.label;
+            label.title = `${item.label} (${item.location}${item.playing ? ', playing' : ''})`;
+
+            const state = document.createElement('span');
+            state.className = `media-state ${item.state}`;
+            state.textContent = item.clickCount > 0 ? `${item.state} · ${item.clickCount}` : item.state;
+
+            row.append(kind, label, state);
+            mediaList.appendChild(row);
+        });
+    }
+
+    function updateModeButtons(activeModes) {
+        const modes = Modes.resolve(activeModes);
+        modeButtons.forEach(button => {
+            button.classList.toggle('active', modes.includes(button.dataset.mode));
+        });
+        if (!modes.includes(rateLimitMode)) rateLimitMode = modes[0];
+        renderRateLimits();
+    }
+
+    // active modes in registry order, so the first one doesn't depend on the order they were picked
+    function selectedModes() {
+        const active = modeButtons.filter(button => button.classList.contains('active'));
+        return Modes.resolve(active.map(button => button.dataset.mode));
+    }
+
+    function registryOrder(modes) {
+        return Modes.ids().filter(id => modes.includes(id));
+    }
+
+    // copy base limits with any per-mode overrides on top
+    function mergeRateLimits(base, overrides) {
+        const merged = {};
+        Object.keys(base).forEach(mode => {
+            merged[mode] = { ...base[mode], ...((overrides || {})[mode] || {}) };
+        });
+        return merged;
+    }
+
+    function renderRateLimits() {
+        const mode = rateLimitMode;
+        const limits = rateLimits[mode];
+        setRateMax(limits.maxClicksPerSecond);
+        setRateInterval(limits.minClickInterval);
+        setRateSuppression(limits.suppression);
+        rateAdaptiveToggle.checked = !!limits.adaptive;
+        rateLimitStatus.textContent = `rate limits for ${Modes.get(mode).label} mode` +
+            (limits.adaptive ? ', scaled with detection confidence' : '');
+    }
+
+    function saveRateLimit(key, value) {
+        const mode = rateLimitMode;
+        rateLimits = mergeRateLimits(rateLimits, { [mode]: { [key]: value } });
+        saveSettings({ rateLimits });
+        renderRateLimits();
+    }
+
+    function setRateMax(value) {
+        rateMaxSlider.value = value;
+        rateMaxValue.textContent = `${value}`;
+    }
+
+    function setRateInterval(value) {
+        rateIntervalSlider.value = value;
+        rateIntervalValue.textContent = `${value}ms`;
+    }
+
+    function setRateSuppression(value) {
+        rateSuppressionSlider.value = value;
+        rateSuppressionValue.textContent = `${value}ms`;
+    }
+
+    function updateMonitoringButtons(activeMode) {
+        monitoringButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.monitor === activeMode);
         });
     }
 
-    function updateModeButtons(activeMode) {
-        clickMode.classList.toggle('active', activeMode === 'click');
-        smackMode.classList.toggle('active', activeMode === 'smack');
+    function updateRepairButtons(activeMethod) {
+        repairButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.method === activeMethod);
+        });
+    }
+
+    function updateDetectorButtons(activeMethod) {
+        detectorButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.method === activeMethod);
+        });
+    }
+
+    function updateChannelButtons(activeMode) {
+        channelButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.channels === activeMode);
+        });
+    }
+
+    function updateLatencyButtons(activeProfile) {
+        latencySetting = activeProfile;
+        latencyButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.latency === activeProfile);
+        });
+        renderLatencyStatus();
+    }
+
+    // what the latency setting comes to for the media on this page, the playing one first
+    function renderLatencyStatus() {
+        if (latencySetting !== 'auto') {
+            latencyStatus.textContent = `${Latency.get(latencySetting).label} for all media`;
+            return;
+        }
+        const media = pageMedia.find(item => item.playing && item.contentType) || pageMedia.find(item => item.contentType);
+        latencyStatus.textContent = media ?
+            `auto: ${Latency.get(Latency.resolve('auto', media.contentType)).label} for ${CONTENT_LABELS[media.contentType]}` :
+            `auto: ${autoLatencySummary}`;
     }
 
     function setSensitivity(value) {
@@ -95,27 +784,62 @@ document.addEventListener('DOMContentLoaded', function () {
     // event listeners
     processingToggle.addEventListener('change', function (e) {
         const enabled = e.target.checked;
-        chrome.storage.sync.set({ processingEnabled: enabled });
-        updateAllTabs('toggleProcessing', enabled);
+        if (processingScope === 'site') {
+            saveSiteProcessing(enabled);
+            return;
+        }
+        globalEnabled = enabled;
+        saveSettings({ globalProcessingEnabled: enabled });
+        renderProcessing();
+    });
+
+    scopeButtons.forEach(button => {
+        button.addEventListener('click', function () {
+            processingScope = button.dataset.scope;
+            renderProcessing();
+        });
+    });
+
+    // drop this site's override so it follows the global switch again
+    resetSiteButton.addEventListener('click', function () {
+        saveSiteProcessing(null);
+    });
+
+    manageSitesButton.addEventListener('click', function () {
+        chrome.tabs.create({ url: chrome.runtime.getURL('sites.html') });
     });
 
     debugToggle.addEventListener('change', function (e) {
         const enabled = e.target.checked;
-        chrome.storage.sync.set({ debugEnabled: enabled });
-        updateAllTabs('toggleDebug', enabled);
+        saveSettings({ debugEnabled: enabled });
     });
 
-    // mode selection
-    clickMode.addEventListener('click', function () {
-        updateModeButtons('click');
-        chrome.storage.sync.set({ mode: 'click' });
-        updateAllTabs('updateMode', 'click');
+    timelineToggle.addEventListener('change', function (e) {
+        const enabled = e.target.checked;
+        saveSettings({ timelineEnabled: enabled });
     });
 
-    smackMode.addEventListener('click', function () {
-        updateModeButtons('smack');
-        chrome.storage.sync.set({ mode: 'smack' });
-        updateAllTabs('updateMode', 'smack');
+    // mode selection toggles one mode, keeping at least one running
+    modeButtons.forEach(button => {
+        button.addEventListener('click', function () {
+            const id = button.dataset.mode;
+            const current = selectedModes();
+            if (current.includes(id) && current.length === 1) return;
+            if (!current.includes(id)) rateLimitMode = id;
+
+            const modes = registryOrder(current.includes(id) ? current.filter(mode => mode !== id) : [...current, id]);
+            updateModeButtons(modes);
+            saveSettings({ mode: modes[0], modes });
+        });
+    });
+
+    // monitoring only changes what the active tab plays, so it isn't stored
+    monitoringButtons.forEach(button => {
+        button.addEventListener('click', function () {
+            const mode = button.dataset.monitor;
+            updateMonitoringButtons(mode);
+            sendToActiveTab({ type: 'setMonitoring', value: mode }).catch(() => { });
+        });
     });
 
     // sensitivity slider
@@ -126,8 +850,7 @@ document.addEventListener('DOMContentLoaded', function () {
 
     sensitivitySlider.addEventListener('change', function (e) {
         const value = parseFloat(e.target.value);
-        chrome.storage.sync.set({ sensitivity: value });
-        updateAllTabs('updateSensitivity', value);
+        saveSettings({ sensitivity: value });
     });
 
     // frequency skew slider
@@ -138,8 +861,7 @@ document.addEventListener('DOMContentLoaded', function () {
 
     frequencySkewSlider.addEventListener('change', function (e) {
         const value = parseFloat(e.target.value);
-        chrome.storage.sync.set({ frequencySkew: value });
-        updateAllTabs('updateFrequencySkew', value);
+        saveSettings({ frequencySkew: value });
     });
 
     // click widening slider
@@ -150,8 +872,7 @@ document.addEventListener('DOMContentLoaded', function () {
 
     clickWideningSlider.addEventListener('change', function (e) {
         const value = parseInt(e.target.value);
-        chrome.storage.sync.set({ clickWidening: value });
-        updateAllTabs('updateClickWidening', value);
+        saveSettings({ clickWidening: value });
     });
 
     // reduction amount slider
@@ -162,7 +883,196 @@ document.addEventListener('DOMContentLoaded', function () {
 
     reductionAmountSlider.addEventListener('change', function (e) {
         const value = parseInt(e.target.value);
-        chrome.storage.sync.set({ reductionAmount: value });
-        updateAllTabs('updateReductionAmount', value);
+        saveSettings({ reductionAmount: value });
+    });
+
+    // rate limit sliders edit the entry of the last mode switched on
+    rateMaxSlider.addEventListener('input', function (e) {
+        setRateMax(parseInt(e.target.value));
+    });
+
+    rateMaxSlider.addEventListener('change', function (e) {
+        saveRateLimit('maxClicksPerSecond', parseInt(e.target.value));
+    });
+
+    rateIntervalSlider.addEventListener('input', function (e) {
+        setRateInterval(parseInt(e.target.value));
+    });
+
+    rateIntervalSlider.addEventListener('change', function (e) {
+        saveRateLimit('minClickInterval', parseInt(e.target.value));
+    });
+
+    rateSuppressionSlider.addEventListener('input', function (e) {
+        setRateSuppression(parseInt(e.target.value));
+    });
+
+    rateSuppressionSlider.addEventListener('change', function (e) {
+        saveRateLimit('suppression', parseInt(e.target.value));
+    });
+
+    rateAdaptiveToggle.addEventListener('change', function (e) {
+        saveRateLimit('adaptive', e.target.checked);
+    });
+
+    // presets
+    presetSelect.addEventListener('change', renderPresetStatus);
+
+    assignSiteButton.addEventListener('click', function () {
+        assignRule('site', presetStatus.hostname);
+    });
+
+    assignChannelButton.addEventListener('click', function () {
+        assignRule('channel', presetStatus.channel);
+    });
+
+    assignPatternButton.addEventListener('click', function () {
+        assignRule('pattern', patternInput.value.trim());
+        patternInput.value = '';
+    });
+
+    clearRuleButton.addEventListener('click', function () {
+        const rule = matchedRule();
+        presetRules = presetRules.filter(other => other !== rule);
+        savePresets();
+    });
+
+    savePresetButton.addEventListener('click', function () {
+        const name = presetNameInput.value.trim();
+        if (!name) return;
+
+        addPreset(name, Presets.pickParams(readCurrentSettings()));
+        presetNameInput.value = '';
+        savePresets();
+    });
+
+    applyPresetButton.addEventListener('click', function () {
+        const preset = Presets.find(presets, presetSelect.value);
+        if (preset) applyGlobalSettings(preset.params);
+    });
+
+    // rename takes the name typed into the preset name field
+    renamePresetButton.addEventListener('click', function () {
+        const preset = presets[presetSelect.value];
+        const name = presetNameInput.value.trim();
+        if (!preset) return;
+        if (!name) {
+            presetNameInput.focus();
+            return;
+        }
+
+        preset.name = name;
+        presetNameInput.value = '';
+        savePresets();
+    });
+
+    duplicatePresetButton.addEventListener('click', function () {
+        const preset = Presets.find(presets, presetSelect.value);
+        if (!preset) return;
+
+        const name = presetNameInput.value.trim() || `${preset.name} copy`;
+        addPreset(name, Presets.pickParams(preset.params));
+        presetNameInput.value = '';
+        savePresets();
+    });
+
+    // deleting a preset also drops the rules that pointed at it
+    deletePresetButton.addEventListener('click', function () {
+        const id = presetSelect.value;
+        if (!presets[id]) return;
+
+        delete presets[id];
+        presetRules = presetRules.filter(rule => rule.presetId !== id);
+        savePresets();
+    });
+
+    // a file picker closes the popup, so files are handled on the extension's own page
+    transferPresetsButton.addEventListener('click', function () {
+        chrome.tabs.create({ url: chrome.runtime.getURL('sites.html#presets') });
+    });
+
+    // feedback
+    markMissButton.addEventListener('click', () => markFeedback('miss'));
+    markSpeechButton.addEventListener('click', () => markFeedback('speech'));
+
+    showFeedbackButton.addEventListener('click', function () {
+        feedbackList.hidden = !feedbackList.hidden;
+        showFeedbackButton.textContent = feedbackList.hidden ? 'show labels' : 'hide labels';
+    });
+
+    resetFeedbackButton.addEventListener('click', function () {
+        const hostname = Presets.normalizeHostname(siteHostname);
+        if (!hostname) return;
+        chrome.runtime.sendMessage({ type: 'resetFeedback', value: hostname }).catch(() => { });
+    });
+
+    // calibration
+    calibrationLengthButtons.forEach(button => {
+        button.addEventListener('click', function () {
+            calibrationSeconds = parseInt(button.dataset.seconds);
+            calibrationLengthButtons.forEach(other => other.classList.toggle('active', other === button));
+        });
+    });
+
+    startCalibrationButton.addEventListener('click', function () {
+        sendToActiveTab({ type: 'startCalibration', value: calibrationSeconds })
+            .then(renderCalibration)
+            .catch(() => {
+                calibrationStatusText.textContent = 'calibration is only available on web pages';
+            });
+    });
+
+    applyCalibrationButton.addEventListener('click', function () {
+        if (!calibrationResult) return;
+        // calibration tunes the first mode; the others keep running alongside
+        const modes = registryOrder([calibrationResult.mode, ...selectedModes().slice(1)]);
+        applyGlobalSettings({
+            mode: modes[0],
+            modes,
+            sensitivity: calibrationResult.sensitivity,
+            frequencySkew: calibrationResult.frequencySkew
+        });
+        calibrationStatusText.textContent = 'suggested settings applied';
+        applyCalibrationButton.hidden = true;
+    });
+
+    openOfflineButton.addEventListener('click', function () {
+        chrome.tabs.create({ url: chrome.runtime.getURL('offline.html') });
+    });
+
+    // repair method selection
+    repairButtons.forEach(button => {
+        button.addEventListener('click', function () {
+            const method = button.dataset.method;
+            updateRepairButtons(method);
+            saveSettings({ repairMethod: method });
+        });
+    });
+
+    // detection method selection
+    detectorButtons.forEach(button => {
+        button.addEventListener('click', function () {
+            const method = button.dataset.method;
+            updateDetectorButtons(method);
+            saveSettings({ detectionMethod: method });
+        });
+    });
+
+    // stereo handling selection
+    channelButtons.forEach(button => {
+        button.addEventListener('click', function () {
+            const mode = button.dataset.channels;
+            updateChannelButtons(mode);
+            saveSettings({ channelMode: mode });
+        });
+    });
+
+    // latency profile selection
+    latencyButtons.forEach(button => {
+        button.addEventListener('click', function () {
+            const profile = button.dataset.latency;
+            updateLatencyButtons(profile);
+            saveSettings({ latencyProfile: profile });
+        });
     });
 }); 
\ No newline at end of file
@@ -0,0 +1,253 @@
+// preset storage and rule matching shared by the popup and content scripts
+//
+// storage layout:
+//   presets:     { [id]: { name, params: { mode, modes, sensitivity, ..., thresholds, rateLimits } } }
+//                rateLimits only holds the limits that differ from the mode defaults, every preset
+//                shares one sync item and its 8KB quota
+//   presetRules: [{ type: 'channel' | 'pattern' | 'site', match, presetId }]
+//
+// built-in presets are never stored; rules can still point at their ids
+
+// settings a preset bundles
+const PRESET_PARAM_KEYS = [
+    'mode', 'modes', 'sensitivity', 'frequencySkew', 'clickWidening', 'reductionAmount', 'repairMethod', 'detectionMethod',
+    'channelMode', 'latencyProfile', 'thresholds', 'rateLimits'
+];
+
+// allowed range of each rate limit setting
+const RATE_LIMIT_RANGES = {
+    maxClicksPerSecond: [1, 30],
+    minClickInterval: [0, 300],
+    suppression: [0, 150]
+};
+
+// the recommended settings from the readme
+const BUILTIN_PRESETS = {
+    'builtin-podcasts': {
+        name: 'Podcasts & Interviews',
+        params: { mode: 'click', sensitivity: 1.1, frequencySkew: 0.0, clickWidening: 5, reductionAmount: -60 }
+    },
+    'builtin-asmr': {
+        name: 'ASMR & Quiet Content',
+        params: {
+            mode: 'smack', sensitivity: 1.5, frequencySkew: 0.0, clickWidening: 10, reductionAmount: -60,
+            // close-mic mouth sounds come in dense runs
+            rateLimits: { smack: { maxClicksPerSecond: 14, minClickInterval: 60, suppression: 30, adaptive: true } }
+        }
+    },
+    'builtin-music': {
+        name: 'Music & Mixed Content',
+        params: {
+            mode: 'click', sensitivity: 0.8, frequencySkew: 0.5, clickWidening: 5, reductionAmount: -6,
+            // percussion trips the detector, so only let the occasional click through
+            rateLimits: { click: { maxClicksPerSecond: 3, minClickInterval: 250, suppression: 80, adaptive: false } }
+        }
+    },
+    'builtin-noisy': {
+        name: 'Noisy Environments',
+        params: { mode: 'click', sensitivity: 1.0, frequencySkew: 1.0, clickWidening: 5, reductionAmount: -60 }
+    }
+};
+
+// version tag written into exported files
+const PRESET_EXPORT_VERSION = 1;
+
+// more specific rules win when several match
+const PRESET_RULE_PRIORITY = { channel: 0, pattern: 1, site: 2 };
+
+const Presets = {
+    // settings live in the background worker, which pushes changes to every tab;
+    // onError gets why they couldn't be read
+    load(callback, onError) {
+        chrome.runtime.sendMessage({ type: 'getSettings' }).then(
+            data => callback(data.presets || {}, data.presetRules || []),
+            error => {
+                if (onError) onError(error.message);
+            }
+        );
+    },
+
+    // callback gets null once stored, or why the presets couldn't be stored
+    save(presets, rules, callback) {
+        chrome.runtime.sendMessage({ type: 'setSettings', values: { presets, presetRules: rules } }).then(
+            response => {
+                if (callback) callback(response && response.error ? response.error : null);
+            },
+            error => {
+                if (callback) callback(error.message);
+            }
+        );
+    },
+
+    createId() {
+        return `preset-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    },
+
+    isBuiltIn(id) {
+        return Object.prototype.hasOwnProperty.call(BUILTIN_PRESETS, id);
+    },
+
+    // look a preset up among the user's presets and the built-in ones
+    find(presets, id) {
+        if (this.isBuiltIn(id)) return BUILTIN_PRESETS[id];
+        return presets[id] || null;
+    },
+
+    // keep only the keys a preset is allowed to carry
+    pickParams(settings) {
+        const params = {};
+        PRESET_PARAM_KEYS.forEach(key => {
+            if (settings[key] === undefined) return;
+            if (key === 'thresholds') {
+                params[key] = { ...settings[key] };
+            } else if (key === 'modes') {
+                params[key] = [...settings[key]];
+            } else if (key === 'rateLimits') {
+                const rateLimits = this.changedRateLimits(settings[key]);
+                if (Object.keys(rateLimits).length > 0) params[key] = rateLimits;
+            } else {
+                params[key] = settings[key];
+            }
+        });
+        return params;
+    },
+
+    // the rate limits that differ from their mode's defaults, keyed by mode
+    changedRateLimits(rateLimits) {
+        const defaults = Modes.defaultRateLimits();
+        const changed = {};
+        Object.keys(rateLimits).forEach(mode => {
+            const limits = {};
+            Object.keys(rateLimits[mode] || {}).forEach(key => {
+                if (!defaults[mode] || rateLimits[mode][key] !== defaults[mode][key]) limits[key] = rateLimits[mode][key];
+            });
+            if (Object.keys(limits).length > 0) changed[mode] = limits;
+        });
+        return changed;
+    },
+
+    // keep only well-formed values from an imported preset
+    sanitizeParams(params) {
+        const clean = {};
+        if (Modes.isValid(params.mode)) clean.mode = params.mode;
+        if (Array.isArray(params.modes) && params.modes.some(id => Modes.isValid(id))) {
+            clean.modes = Modes.resolve(params.modes);
+        }
+        if (['duck', 'interpolate', 'hybrid', 'eq', 'multiband'].includes(params.repairMethod)) clean.repairMethod = params.repairMethod;
+        if (['rules', 'model', 'ensemble'].includes(params.detectionMethod)) clean.detectionMethod = params.detectionMethod;
+        if (['linked', 'split'].includes(params.channelMode)) clean.channelMode = params.channelMode;
+        if (params.latencyProfile === 'auto' || Latency.isValid(params.latencyProfile)) clean.latencyProfile = params.latencyProfile;
+
+        const ranges = {
+            sensitivity: [0.1, 2.0],
+            frequencySkew: [-1.0, 1.0],
+            clickWidening: [1, 20],
+            reductionAmount: [-60, 0]
+        };
+        Object.keys(ranges).forEach(key => {
+            const [min, max] = ranges[key];
+            if (typeof params[key] === 'number' && isFinite(params[key])) {
+                clean[key] = Math.max(min, Math.min(max, params[key]));
+            }
+        });
+
+        if (params.thresholds && typeof params.thresholds === 'object') {
+            const thresholds = {};
+            Object.keys(params.thresholds).forEach(key => {
+                if (typeof params.thresholds[key] === 'number' && isFinite(params.thresholds[key])) {
+                    thresholds[key] = params.thresholds[key];
+                }
+            });
+            if (Object.keys(thresholds).length > 0) clean.thresholds = thresholds;
+        }
+
+        if (params.rateLimits && typeof params.rateLimits === 'object') {
+            const rateLimits = {};
+            Modes.ids().forEach(mode => {
+                const limits = params.rateLimits[mode];
+                if (!limits || typeof limits !== 'object') return;
+
+                const cleanLimits = {};
+                Object.keys(RATE_LIMIT_RANGES).forEach(key => {
+                    const [min, max] = RATE_LIMIT_RANGES[key];
+                    if (typeof limits[key] === 'number' && isFinite(limits[key])) {
+                        cleanLimits[key] = Math.max(min, Math.min(max, limits[key]));
+                    }
+                });
+                if (typeof limits.adaptive === 'boolean') cleanLimits.adaptive = limits.adaptive;
+                if (Object.keys(cleanLimits).length > 0) rateLimits[mode] = cleanLimits;
+            });
+            if (Object.keys(rateLimits).length > 0) clean.rateLimits = rateLimits;
+        }
+        return clean;
+    },
+
+    // user presets as a json file; built-ins are left out since every install has them
+    exportJson(presets) {
+        const list = Object.keys(presets).map(id => ({
+            name: presets[id].name,
+            params: this.pickParams(presets[id].params)
+        }));
+        return JSON.stringify({ version: PRESET_EXPORT_VERSION, presets: list }, null, 2);
+    },
+
+    // parse an exported file (or a bare array of presets); throws on anything unusable
+    parseImport(text) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : data && data.presets;
+        if (!Array.isArray(list)) {
+            throw new Error('no presets in file');
+        }
+
+        const imported = list
+            .filter(item => item && typeof item.name === 'string' && item.name.trim() && item.params && typeof item.params === 'object')
+            .map(item => ({ name: item.name.trim().slice(0, 60), params: this.pickParams(this.sanitizeParams(item.params)) }));
+        if (imported.length === 0) {
+            throw new Error('no valid presets in file');
+        }
+        return imported;
+    },
+
+    // site rules are stored without a leading www. and also cover subdomains
+    normalizeHostname(hostname) {
+        return hostname.replace(/^www\./, '');
+    },
+
+    // url patterns use * as a wildcard and are matched against host + path + query
+    wildcardToRegExp(pattern) {
+        const escaped = pattern.trim().replace(/^https?:\/\//, '')
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^(www\\.)?${escaped}$`, 'i');
+    },
+
+    ruleMatches(rule, context) {
+        switch (rule.type) {
+            case 'channel':
+                return !!context.channel && rule.match === context.channel;
+            case 'pattern':
+                try {
+                    return this.wildcardToRegExp(rule.match).test(context.url);
+                } catch (error) {
+                    return false;
+                }
+            case 'site': {
+                const hostname = this.normalizeHostname(context.hostname);
+                return hostname === rule.match || hostname.endsWith(`.${rule.match}`);
+            }
+        }
+        return false;
+    },
+
+    // context is { hostname, url, channel }; returns the most specific matching rule
+    matchRule(rules, context) {
+        const matches = rules.filter(rule => this.ruleMatches(rule, context));
+        matches.sort((a, b) => PRESET_RULE_PRIORITY[a.type] - PRESET_RULE_PRIORITY[b.type]);
+        return matches[0] || null;
+    },
+
+    describeRule(rule) {
+        return `${rule.type} ${rule.match}`;
+    }
+};
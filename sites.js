@@ -0,0 +1,165 @@
+document.addEventListener('DOMContentLoaded', function () {
+    const globalToggle = document.getElementById('globalProcessing');
+    const siteList = document.getElementById('siteList');
+    const newSiteInput = document.getElementById('newSite');
+    const addSiteOn = document.getElementById('addSiteOn');
+    const addSiteOff = document.getElementById('addSiteOff');
+    const siteStatus = document.getElementById('siteStatus');
+    const exportPresetsButton = document.getElementById('exportPresets');
+    const importPresetsButton = document.getElementById('importPresets');
+    const importFileInput = document.getElementById('importFile');
+    const presetStatus = document.getElementById('presetStatus');
+
+    function setSiteProcessing(hostname, enabled) {
+        return chrome.runtime.sendMessage({ type: 'setSiteProcessing', value: { hostname, enabled } });
+    }
+
+    // overrides are keyed by the exact hostname a page reports, so accept pasted urls too
+    function parseHostname(text) {
+        const value = text.trim().toLowerCase();
+        if (!value) return '';
+        try {
+            return new URL(value.includes('://') ? value : `https://${value}`).hostname;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    function render(data) {
+        globalToggle.checked = data.globalProcessingEnabled !== false;
+        exportPresetsButton.disabled = Object.keys(data.presets || {}).length === 0;
+
+        const siteSettings = data.siteSettings || {};
+        const hostnames = Object.keys(siteSettings).sort();
+        siteList.replaceChildren();
+
+        if (hostnames.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty';
+            empty.textContent = 'no site overrides, every site follows the switch above';
+            siteList.appendChild(empty);
+            return;
+        }
+
+        hostnames.forEach(hostname => {
+            const row = document.createElement('div');
+            row.className = 'site-row';
+
+            const name = document.createElement('span');
+            name.className = 'site-name';
+            name.textContent = hostname;
+            name.title = hostname;
+
+            const toggle = document.createElement('label');
+            toggle.className = 'switch';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = siteSettings[hostname] === true;
+            checkbox.addEventListener('change', () => setSiteProcessing(hostname, checkbox.checked));
+            const slider = document.createElement('span');
+            slider.className = 'slider';
+            toggle.append(checkbox, slider);
+
+            const remove = document.createElement('button');
+            remove.className = 'link-button';
+            remove.textContent = 'remove';
+            remove.title = 'follow the global switch on this site';
+            remove.addEventListener('click', () => setSiteProcessing(hostname, null));
+
+            row.append(name, toggle, remove);
+            siteList.appendChild(row);
+        });
+    }
+
+    function refresh() {
+        chrome.runtime.sendMessage({ type: 'getSettings' }).then(data => render(data || {}));
+    }
+
+    function addSite(enabled) {
+        const hostname = parseHostname(newSiteInput.value);
+        if (!hostname) {
+            siteStatus.textContent = 'not a valid hostname';
+            return;
+        }
+        setSiteProcessing(hostname, enabled).then(response => {
+            // keep what was typed when the worker couldn't store it
+            if (response && response.error) {
+                siteStatus.textContent = `not saved: ${response.error}`;
+                return;
+            }
+            newSiteInput.value = '';
+            addSiteOn.disabled = addSiteOff.disabled = true;
+            siteStatus.textContent = '';
+        });
+    }
+
+    // only the user's own presets are exported, the built-in ones ship with the extension
+    function exportPresets() {
+        Presets.load(function (presets) {
+            const blob = new Blob([Presets.exportJson(presets)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'misophonia-presets.json';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }, function (error) {
+            presetStatus.textContent = `export failed: ${error}`;
+        });
+    }
+
+    // imported presets are added next to the stored ones under new ids
+    function importPresets(file) {
+        file.text()
+            .then(text => {
+                const imported = Presets.parseImport(text);
+                Presets.load(function (presets, rules) {
+                    const merged = { ...presets };
+                    imported.forEach(preset => {
+                        merged[Presets.createId()] = { name: preset.name, params: preset.params };
+                    });
+                    Presets.save(merged, rules, function (error) {
+                        presetStatus.textContent = error ? `import failed: ${error}` :
+                            `imported ${imported.length} preset${imported.length === 1 ? '' : 's'}`;
+                    });
+                }, function (error) {
+                    presetStatus.textContent = `import failed: ${error}`;
+                });
+            })
+            .catch(error => {
+                presetStatus.textContent = `import failed: ${error.message}`;
+            });
+    }
+
+    globalToggle.addEventListener('change', function () {
+        chrome.runtime.sendMessage({ type: 'setSettings', values: { globalProcessingEnabled: globalToggle.checked } });
+    });
+
+    newSiteInput.addEventListener('input', function () {
+        addSiteOn.disabled = addSiteOff.disabled = !newSiteInput.value.trim();
+        siteStatus.textContent = '';
+    });
+
+    newSiteInput.addEventListener('keydown', function (e) {
+        if (e.key === 'Enter' && newSiteInput.value.trim()) addSite(true);
+    });
+
+    addSiteOn.addEventListener('click', () => addSite(true));
+    addSiteOff.addEventListener('click', () => addSite(false));
+
+    exportPresetsButton.addEventListener('click', exportPresets);
+
+    importPresetsButton.addEventListener('click', () => importFileInput.click());
+
+    importFileInput.addEventListener('change', function (e) {
+        if (e.target.files[0]) importPresets(e.target.files[0]);
+        importFileInput.value = '';
+    });
+
+    // changes from the popup, shortcuts or another device show up while the page is open
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'sync' && (changes.siteSettings || changes.globalProcessingEnabled || changes.presets)) refresh();
+    });
+
+    refresh();
+});
@@ -0,0 +1,288 @@
+// speech presence for the click detector: yin pitch tracking, a voiced / unvoiced / silence
+// classifier and plosive / fricative onset detection, combined into one protection value that
+// raises the confidence a click needs (see detectMouthClick in dsp.js)
+// runs inside the audio worklet and under node; several detectors analyzing the same stream can
+// share one analyzer, which analyzes each frame once
+
+// pitch analysis runs on the input decimated to about this rate, plenty for 50-500hz voices
+const SPEECH_PITCH_RATE = 12000;
+
+// yin: pitch periods searched (2-20ms), the integration window, and the aperiodicity a dip
+// has to reach to be taken as the period
+const SPEECH_MIN_LAG = 0.002;
+const SPEECH_MAX_LAG = 0.02;
+const SPEECH_WINDOW = 0.01;
+const SPEECH_YIN_THRESHOLD = 0.15;
+
+// protection each kind of speech gives at full strength
+const SPEECH_PROTECTION = {
+    voiced: 1.0,
+    fricative: 0.8,
+    plosive: 0.9
+};
+
+class SpeechAnalyzer {
+    constructor(sampleRate, hopSize = 128) {
+        this.sampleRate = sampleRate;
+        this.hopSize = hopSize;
+        this.hopSeconds = hopSize / sampleRate;
+
+        // decimated history for pitch tracking, newest sample last
+        this.decimation = Math.max(1, Math.round(sampleRate / SPEECH_PITCH_RATE));
+        this.pitchRate = sampleRate / this.decimation;
+        this.minLag = Math.round(SPEECH_MIN_LAG * this.pitchRate);
+        this.maxLag = Math.round(SPEECH_MAX_LAG * this.pitchRate);
+        this.window = Math.round(SPEECH_WINDOW * this.pitchRate);
+        this.history = new Float32Array(this.window + this.maxLag);
+        this.difference = new Float32Array(this.maxLag + 1);
+
+        // hops of context an onset is measured against (~30ms)
+        this.onsetContext = Math.max(2, Math.round(0.03 / this.hopSeconds));
+
+        // per-hop smoothing rates: pitch continuity over ~30ms and frication over ~10ms
+        this.stabilityRate = 1 - Math.exp(-this.hopSeconds / 0.03);
+        this.fricationRate = 1 - Math.exp(-this.hopSeconds / 0.01);
+
+        // the noise floor is the quietest hop of the last ~2s, kept as minima of ~100ms blocks;
+        // speech pauses more often than that. digital silence says nothing about the noise
+        this.floorBlockHops = Math.max(1, Math.round(0.1 / this.hopSeconds));
+        this.floorBlocks = 20;
+
+        // two one-pole lowpasses around 1.5khz, for how much of a burst sits low
+        this.lowpassCoefficient = 1 - Math.exp(-2 * Math.PI * 1500 / sampleRate);
+
+        // plosive protection lasts through the burst and its aspiration
+        this.plosiveHoldTime = 0.03;
+
+        this.reset();
+    }
+
+    // forget the stream, the next frame is analyzed on its own
+    reset() {
+        this.history.fill(0);
+        this.historyLength = 0;
+        this.hopLevels = []; // { energy, hfShare, lfShare } of recent hops, newest last
+        this.floorMinima = [];
+        this.blockMinimum = Infinity;
+        this.blockLength = 0;
+        this.noiseFloor = -100;
+        this.lastPitch = 0;
+        this.pitchStability = 0;
+        this.fricationLevel = 0;
+        this.plosiveHold = 0;
+        this.lastTime = null;
+        this.lastResult = null;
+    }
+
+    // analyze the newest hop of a frame; time is the frame's stream time in ms. frames that
+    // don't follow the previous one by exactly one hop (or come without a time) restart the
+    // analysis from the whole frame
+    analyze(timeData, time) {
+        if (time !== undefined && time === this.lastTime && this.lastResult) return this.lastResult;
+
+        const hopMs = this.hopSeconds * 1000;
+        const continuous = time !== undefined && this.lastTime !== null && Math.abs(time - this.lastTime - hopMs) < 1e-3;
+        if (!continuous) this.reset();
+
+        // a restart takes in the whole frame hop by hop, so onsets have their context
+        const start = continuous ? Math.max(0, timeData.length - this.hopSize) : timeData.length % this.hopSize;
+        let onset = null;
+        for (let offset = start; offset < timeData.length; offset += this.hopSize) {
+            const hop = timeData.subarray(offset, Math.min(timeData.length, offset + this.hopSize));
+            this.appendHistory(hop);
+            onset = this.trackOnsets(this.measureHop(hop)) || onset;
+        }
+
+        const pitch = this.trackPitch();
+        const level = this.frameLevel(timeData);
+
+        // yin periodicity of speech-like voicing sits near 1, noise well below 0.5; voicing still
+        // counts close to the noise floor, where the level alone can't tell it from silence
+        const periodic = Math.max(0, Math.min(1, (pitch.periodicity - 0.5) / 0.35));
+        const silence = level < -70 || (level - this.noiseFloor < 6 && periodic < 0.5);
+        const voicedProbability = silence ? 0 : periodic;
+        const voicing = silence ? 'silence' : voicedProbability >= 0.5 ? 'voiced' : 'unvoiced';
+
+        // pitch continuity only builds up over voiced frames
+        const continuousPitch = voicing === 'voiced' && this.lastPitch > 0 && pitch.frequency > 0 &&
+            Math.abs(Math.log2(pitch.frequency / this.lastPitch)) < 0.17;
+        this.pitchStability += ((continuousPitch ? 1 : 0) - this.pitchStability) * this.stabilityRate;
+        this.lastPitch = voicing === 'voiced' ? pitch.frequency : 0;
+
+        const components = {
+            voiced: voicedProbability * (0.5 + 0.5 * this.pitchStability) * SPEECH_PROTECTION.voiced,
+            fricative: this.fricationLevel * SPEECH_PROTECTION.fricative,
+            plosive: this.plosiveHold / this.plosiveHoldTime * SPEECH_PROTECTION.plosive
+        };
+        const protection = silence ? 0 : Math.max(components.voiced, components.fricative, components.plosive);
+
+        this.lastTime = time === undefined ? null : time;
+        this.lastResult = {
+            pitch: voicing === 'voiced' ? pitch.frequency : 0,
+            periodicity: pitch.periodicity,
+            pitchStability: this.pitchStability,
+            voicing,
+            voicedProbability,
+            onset,
+            fricationLevel: this.fricationLevel,
+            level,
+            noiseFloor: this.noiseFloor,
+            components,
+            protection
+        };
+        return this.lastResult;
+    }
+
+    // decimate a hop by block averaging and append it to the pitch history
+    appendHistory(hop) {
+        const count = Math.floor(hop.length / this.decimation);
+        if (count === 0) return;
+
+        const history = this.history;
+        const keep = Math.max(0, history.length - count);
+        history.copyWithin(0, history.length - keep);
+        for (let m = 0; m < count && m < history.length; m++) {
+            let sum = 0;
+            for (let k = 0; k < this.decimation; k++) {
+                sum += hop[m * this.decimation + k];
+            }
+            history[keep + m] = sum / this.decimation;
+        }
+        this.historyLength = Math.min(history.length, this.historyLength + count);
+    }
+
+    // energy of a hop, and how much of it sits high (first differences; white noise is 1, a
+    // 3.5khz tone about 0.1, a vowel a few hundredths) and low (below ~1.5khz, a 3.5khz tone
+    // a few hundredths)
+    measureHop(hop) {
+        let energy = 0;
+        let differenceEnergy = 0;
+        let lowEnergy = 0;
+        let smoothed = hop[0];
+        let lowpassed = hop[0];
+        for (let i = 0; i < hop.length; i++) {
+            const sample = hop[i];
+            energy += sample * sample;
+            if (i > 0) {
+                const delta = sample - hop[i - 1];
+                differenceEnergy += delta * delta;
+            }
+            smoothed += (sample - smoothed) * this.lowpassCoefficient;
+            lowpassed += (smoothed - lowpassed) * this.lowpassCoefficient;
+            lowEnergy += lowpassed * lowpassed;
+        }
+        return {
+            energy: energy / hop.length,
+            hfShare: energy > 0 ? differenceEnergy / (2 * energy) : 0,
+            lfShare: energy > 0 ? Math.min(1, lowEnergy / energy) : 0
+        };
+    }
+
+    // plosives burst out of a closure, mostly low but with noise reaching high (unlike a vowel
+    // onset or a tonal click); fricatives are sustained noise that sits high. returns the onset
+    // that started on this hop, if any
+    trackOnsets(hop) {
+        const db = 10 * Math.log10(hop.energy + 1e-12);
+        const context = this.hopLevels.slice(-this.onsetContext);
+        this.hopLevels.push(hop);
+        if (this.hopLevels.length > this.onsetContext) this.hopLevels.shift();
+
+        this.trackNoiseFloor(db);
+
+        this.plosiveHold = Math.max(0, this.plosiveHold - this.hopSeconds);
+        const wasFricative = this.fricationLevel >= 0.5;
+        const fricative = hop.hfShare > 0.6 && db - this.noiseFloor > 10;
+        this.fricationLevel += ((fricative ? 1 : 0) - this.fricationLevel) * this.fricationRate;
+
+        if (context.length === 0) return null;
+        const contextDb = 10 * Math.log10(context.reduce((sum, level) => sum + level.energy, 0) / context.length + 1e-12);
+
+        const fromClosure = contextDb - this.noiseFloor < 8;
+        if (fromClosure && db - contextDb > 12 && db - this.noiseFloor > 15 && hop.lfShare > 0.3 && hop.hfShare > 0.1) {
+            this.plosiveHold = this.plosiveHoldTime;
+            return 'plosive';
+        }
+        if (!wasFricative && this.fricationLevel >= 0.5) return 'fricative';
+        return null;
+    }
+
+    trackNoiseFloor(db) {
+        if (db < -100) return;
+        this.blockMinimum = Math.min(this.blockMinimum, db);
+        if (++this.blockLength >= this.floorBlockHops) {
+            this.floorMinima.push(this.blockMinimum);
+            if (this.floorMinima.length > this.floorBlocks) this.floorMinima.shift();
+            this.blockMinimum = Infinity;
+            this.blockLength = 0;
+        }
+        this.noiseFloor = Math.min(this.blockMinimum, ...this.floorMinima);
+    }
+
+    // level (db) of the newest window, on the full-rate frame
+    frameLevel(timeData) {
+        const length = Math.min(timeData.length, Math.round(SPEECH_WINDOW * this.sampleRate));
+        let energy = 0;
+        for (let i = timeData.length - length; i < timeData.length; i++) {
+            energy += timeData[i] * timeData[i];
+        }
+        return 10 * Math.log10(energy / Math.max(1, length) + 1e-12);
+    }
+
+    // yin on the newest window of the decimated history: the cumulative mean normalized
+    // difference dips toward 0 at the pitch period; periodicity is 1 minus the dip
+    trackPitch() {
+        const maxLag = Math.min(this.maxLag, this.historyLength - this.window);
+        if (maxLag <= this.minLag + 1) return { frequency: 0, periodicity: 0 };
+
+        const history = this.history;
+        const end = history.length;
+        const difference = this.difference;
+        let runningSum = 0;
+        for (let lag = 1; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let j = end - this.window; j < end; j++) {
+                const delta = history[j] - history[j - lag];
+                sum += delta * delta;
+            }
+            runningSum += sum;
+            difference[lag] = runningSum > 0 ? sum * lag / runningSum : 1;
+        }
+
+        // the first dip under the threshold, followed down to its minimum; otherwise the deepest dip
+        let best = -1;
+        for (let lag = this.minLag; lag <= maxLag; lag++) {
+            if (difference[lag] < SPEECH_YIN_THRESHOLD) {
+                while (lag + 1 <= maxLag && difference[lag + 1] < difference[lag]) lag++;
+                best = lag;
+                break;
+            }
+        }
+        if (best < 0) {
+            best = this.minLag;
+            for (let lag = this.minLag + 1; lag <= maxLag; lag++) {
+                if (difference[lag] < difference[best]) best = lag;
+            }
+        }
+
+        // parabolic interpolation between lags
+        let period = best;
+        if (best > this.minLag && best < maxLag) {
+            const previous = difference[best - 1];
+            const next = difference[best + 1];
+            const curvature = previous - 2 * difference[best] + next;
+            if (curvature > 0) period += Math.max(-1, Math.min(1, (previous - next) / (2 * curvature)));
+        }
+
+        return {
+            frequency: this.pitchRate / period,
+            periodicity: Math.max(0, Math.min(1, 1 - difference[best]))
+        };
+    }
+}
+
+// expose to the worklet global scope, or to node for offline tooling
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpeechAnalyzer };
+} else {
+    globalThis.SpeechAnalyzer = SpeechAnalyzer;
+}
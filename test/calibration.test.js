@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Calibration } = require('../calibration.js');
+const { createFixture } = require('./fixtures');
+
+const PARAMS = { mode: 'click', frequencySkew: 0.0, sensitivity: 1.0 };
+
+test('every swept skew and mode detects differently on the podcast fixture', () => {
+    const fixture = createFixture('podcast');
+    const frames = Calibration.computeSpectra(fixture.samples, fixture.sampleRate);
+    const rateOf = candidate => Calibration.evaluate(frames, fixture.sampleRate, PARAMS, candidate).clicksPerSecond;
+
+    const skews = [-0.5, 0.0, 0.5].map(frequencySkew => rateOf({ ...PARAMS, frequencySkew, sensitivity: 1.4 }));
+    assert.strictEqual(new Set(skews).size, 3, skews.join());
+    assert.notStrictEqual(rateOf({ ...PARAMS, mode: 'smack', sensitivity: 1.4 }), rateOf({ ...PARAMS, sensitivity: 1.4 }));
+});
+
+test('when candidates score the same the sweep keeps the current settings', async () => {
+    // silence: nothing is detected whatever the settings
+    const samples = new Float32Array(48000);
+    const params = { mode: 'smack', frequencySkew: 0.5, sensitivity: 1.2 };
+    const { best } = await Calibration.sweep(samples, 48000, params);
+
+    assert.deepStrictEqual([best.mode, best.frequencySkew, best.sensitivity], [params.mode, params.frequencySkew, params.sensitivity]);
+});
+
+test('the sweep yields to the page every slice of frames and matches a single pass', async () => {
+    const fixture = createFixture('podcast');
+    const samples = fixture.samples.subarray(0, 2 * fixture.sampleRate);
+    const advanceRun = Calibration.advanceRun;
+    const slices = [];
+    Calibration.advanceRun = function (run, frames, sampleRate, count) {
+        const start = run.position;
+        const done = advanceRun.call(this, run, frames, sampleRate, count);
+        slices.push(run.position - start);
+        return done;
+    };
+
+    let result;
+    try {
+        result = await Calibration.sweep(samples, fixture.sampleRate, PARAMS);
+    } finally {
+        Calibration.advanceRun = advanceRun;
+    }
+
+    assert.ok(Math.max(...slices) <= Calibration.framesPerSlice);
+    const frames = Calibration.computeSpectra(samples, fixture.sampleRate);
+    assert.deepStrictEqual(result.current, Calibration.evaluate(frames, fixture.sampleRate, PARAMS, PARAMS));
+});
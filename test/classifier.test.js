@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ClickClassifier } = require('../classifier.js');
+const { MouthClickDetector } = require('../dsp.js');
+const { createFixture } = require('./fixtures');
+const { scoreDetections } = require('./metrics');
+const { detectClicks, loadClassifier } = require('./run-detection');
+
+// a single sigmoid unit over one feature: logistic regression on the signed log of flux
+function logisticWeights(weight, bias) {
+    return {
+        features: ['spectralFlux'],
+        mean: [0],
+        scale: [1],
+        layers: [{ weights: [[weight]], bias: [bias], activation: 'sigmoid' }]
+    };
+}
+
+test('a single sigmoid unit predicts the logistic of its standardized input', () => {
+    const classifier = new ClickClassifier(logisticWeights(2, -1));
+    const flux = Math.E - 1; // signed log turns this into 1
+
+    assert.ok(Math.abs(classifier.predict({ spectralFlux: flux }) - 1 / (1 + Math.exp(-1))) < 1e-9);
+    assert.strictEqual(classifier.predict({ spectralFlux: 0 }), 1 / (1 + Math.exp(1)));
+});
+
+test('a feature missing from the frame or not finite reads as its training mean', () => {
+    const classifier = new ClickClassifier({ ...logisticWeights(2, -1), mean: [0.7], scale: [0.5] });
+    const atMean = classifier.predict({ spectralFlux: Math.expm1(0.7) });
+
+    assert.ok(Math.abs(atMean - 1 / (1 + Math.exp(1))) < 1e-9);
+    assert.strictEqual(classifier.predict({}), atMean);
+    assert.strictEqual(classifier.predict({ spectralFlux: NaN }), atMean);
+});
+
+test('weights that do not fit together are rejected when they load', () => {
+    assert.throws(() => new ClickClassifier(null));
+    assert.throws(() => new ClickClassifier({ ...logisticWeights(1, 0), mean: [0, 0] }));
+    assert.throws(() => new ClickClassifier({
+        ...logisticWeights(1, 0),
+        layers: [{ weights: [[1, 2]], bias: [0], activation: 'sigmoid' }]
+    }));
+    assert.throws(() => new ClickClassifier({
+        ...logisticWeights(1, 0),
+        layers: [{ weights: [[1]], bias: [0], activation: 'tanh' }]
+    }));
+    assert.throws(() => new ClickClassifier({
+        ...logisticWeights(1, 0),
+        layers: [{ weights: [[1], [1]], bias: [0, 0], activation: 'relu' }]
+    }));
+});
+
+test('the bundled weights read features the detector reports', () => {
+    const classifier = loadClassifier();
+    const detector = new MouthClickDetector(48000, { frameSize: 1024, hopSize: 128 });
+    const frame = new Float32Array(1024);
+    const result = detector.detectMouthClick(frame, detector.computeSpectrum(frame), 0);
+
+    classifier.features.forEach(name => {
+        assert.ok(name in result.details.features, name);
+    });
+    const probability = classifier.predict(result.details.features);
+    assert.ok(probability >= 0 && probability <= 1, `probability = ${probability}`);
+});
+
+test('model and ensemble detection find the podcast fixture clicks', () => {
+    const classifier = loadClassifier();
+    const fixture = createFixture('podcast');
+
+    ['model', 'ensemble'].forEach(detectionMethod => {
+        const detections = detectClicks(fixture.samples, fixture.sampleRate, { sensitivity: 1.0, detectionMethod }, classifier);
+        const score = scoreDetections(fixture, detections);
+        assert.ok(score.recall >= 0.5, `${detectionMethod} recall = ${score.recall}`);
+    });
+});
+
+test('model and ensemble take no more speech for clicks than the rules', () => {
+    const classifier = loadClassifier();
+    const fixture = createFixture('cleanSpeech');
+    const speechErrors = detectionMethod => scoreDetections(fixture,
+        detectClicks(fixture.samples, fixture.sampleRate, { sensitivity: 1.0, detectionMethod }, classifier)).falsePositivesOnSpeech;
+
+    const rules = speechErrors('rules');
+    ['model', 'ensemble'].forEach(detectionMethod => {
+        assert.ok(speechErrors(detectionMethod) <= rules, `${detectionMethod} vs rules ${rules}`);
+    });
+});
+
+test('site feedback scales the probability the model needs', () => {
+    const classifier = loadClassifier();
+    // the model is sure of the podcast's clicks either way, the borderline frames are in speech;
+    // a requirement of 1 (a scale of 2) leaves none, so the raised scale stays just below it
+    const fixture = createFixture('cleanSpeech');
+    const clicksAt = feedbackScale => detectClicks(fixture.samples, fixture.sampleRate,
+        { sensitivity: 1.0, detectionMethod: 'model', feedbackScale }, classifier).length;
+
+    const lowered = clicksAt(0.3);
+    const normal = clicksAt(1.0);
+    const raised = clicksAt(1.9);
+    assert.ok(lowered > normal && normal > raised, `${lowered}, ${normal}, ${raised}`);
+
+    const detector = new MouthClickDetector(48000, { frameSize: 1024, hopSize: 128 });
+    detector.setClassifier(classifier);
+    detector.updateParameters({ detectionMethod: 'model', feedbackScale: 1.5 });
+    assert.strictEqual(detector.requiredConfidence(1), 0.75);
+});
+
+test('without a classifier the detector stays on its rules whatever the method', () => {
+    const detector = new MouthClickDetector(48000, { frameSize: 1024, hopSize: 128 });
+    detector.updateParameters({ detectionMethod: 'model' });
+
+    const decision = detector.decide({}, 0.8, true);
+    assert.deepStrictEqual(decision, { detected: true, confidence: 0.8, probability: null, modelDetected: false });
+});
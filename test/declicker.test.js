@@ -0,0 +1,309 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AdvancedMouthDeClicker, EQ_BAND, MULTIBAND_BANDS, MAX_CHANNEL_COUNT } = require('../declicker.js');
+const { createStubContext, createStubStorage } = require('./stubs');
+
+function createChain(stored = {}, options = {}) {
+    const storage = createStubStorage(stored);
+    const deClicker = new AdvancedMouthDeClicker(createStubContext(), {
+        storage,
+        hostname: 'example.com',
+        debugOverlay: false,
+        ...options
+    });
+    return { deClicker, storage };
+}
+
+test('loads stored settings into params', async () => {
+    const { deClicker } = createChain({ sensitivity: 1.4, mode: 'smack', repairMethod: 'interpolate' });
+    await deClicker.settingsReady;
+
+    assert.strictEqual(deClicker.params.sensitivity, 1.4);
+    assert.strictEqual(deClicker.params.mode, 'smack');
+    assert.strictEqual(deClicker.params.repairMethod, 'interpolate');
+    assert.strictEqual(deClicker.processingEnabled, true);
+});
+
+test('per-site setting overrides the global processing toggle', async () => {
+    const { deClicker } = createChain({ globalProcessingEnabled: true, siteSettings: { 'example.com': false } });
+    await deClicker.settingsReady;
+
+    assert.strictEqual(deClicker.processingEnabled, false);
+});
+
+test('sites without an override follow the global processing toggle', async () => {
+    const { deClicker } = createChain({ globalProcessingEnabled: false, siteSettings: { 'other.com': true } });
+    await deClicker.settingsReady;
+
+    assert.strictEqual(deClicker.processingEnabled, false);
+});
+
+test('applySettings layers a preset over stored settings and resets the rest', async () => {
+    const { deClicker } = createChain();
+    await deClicker.settingsReady;
+
+    deClicker.applySettings({ sensitivity: 1.2, clickWidening: 8 }, { sensitivity: 0.6, thresholds: { lpcError: 0.03 } });
+    assert.strictEqual(deClicker.params.sensitivity, 0.6);
+    assert.strictEqual(deClicker.params.clickWidening, 8);
+    assert.strictEqual(deClicker.params.thresholds.lpcError, 0.03);
+
+    // dropping the preset restores the default thresholds
+    deClicker.applySettings({ sensitivity: 1.2 });
+    assert.strictEqual(deClicker.params.sensitivity, 1.2);
+    assert.strictEqual(deClicker.params.thresholds.lpcError, deClicker.defaultParams.thresholds.lpcError);
+});
+
+test('the site feedback scale survives settings and presets being reapplied', async () => {
+    const { deClicker } = createChain();
+    await deClicker.settingsReady;
+
+    deClicker.setFeedbackScale(1.3);
+    deClicker.applySettings({ sensitivity: 1.2 }, { thresholds: { lpcError: 0.03 } });
+    assert.strictEqual(deClicker.params.feedbackScale, 1.3);
+
+    deClicker.setFeedbackScale(5);
+    assert.strictEqual(deClicker.params.feedbackScale, 2.0);
+});
+
+test('monitoring taps select processed, bypassed or removed audio', () => {
+    const { deClicker } = createChain();
+
+    deClicker.setMonitoring('bypass');
+    assert.strictEqual(deClicker.processedTap.gain.value, 0);
+    assert.strictEqual(deClicker.dryTap.gain.value, 1);
+
+    deClicker.setMonitoring('delta');
+    assert.strictEqual(deClicker.processedTap.gain.value, -1);
+    assert.strictEqual(deClicker.dryTap.gain.value, 1);
+
+    deClicker.setMonitoring('unknown');
+    assert.strictEqual(deClicker.monitoring, 'delta');
+});
+
+test('without a worklet the chain stays on the plain delayed path', async () => {
+    const { deClicker } = createChain({ repairMethod: 'interpolate' });
+    await deClicker.settingsReady;
+
+    assert.strictEqual(deClicker.delayTap.gain.value, 1);
+    assert.strictEqual(deClicker.repairTap.gain.value, 0);
+});
+
+test('dynamic eq stages sit flat between each channel\'s gain stage and the monitoring taps', async () => {
+    const { deClicker } = createChain({ repairMethod: 'eq' });
+    await deClicker.settingsReady;
+
+    deClicker.channelStages.forEach(({ clickGain, eqStages }, c) => {
+        assert.strictEqual(clickGain.connections[0], eqStages[0]);
+        assert.deepStrictEqual(eqStages[eqStages.length - 1].routes[0], { target: deClicker.channelMerger, output: 0, input: c });
+        eqStages.forEach(stage => {
+            assert.strictEqual(stage.type, 'peaking');
+            assert.strictEqual(stage.gain.value, 0);
+            assert.ok(stage.frequency.value > EQ_BAND.min && stage.frequency.value < EQ_BAND.max);
+        });
+    });
+    assert.strictEqual(deClicker.channelMerger.connections[0], deClicker.processedTap);
+
+    // the eq filters the plain delayed signal, not the interpolated one
+    assert.strictEqual(deClicker.delayTap.gain.value, 1);
+    assert.strictEqual(deClicker.repairTap.gain.value, 0);
+});
+
+test('the multiband crossover feeds one gain per band and channel into that channel\'s gain stage', async () => {
+    const { deClicker } = createChain({ repairMethod: 'multiband' });
+    await deClicker.settingsReady;
+
+    assert.strictEqual(deClicker.crossover.bands.length, MULTIBAND_BANDS.length);
+    deClicker.crossover.bands.forEach((band, i) => {
+        const splitter = deClicker.bandSplitters[i];
+        assert.strictEqual(band.connections[0], splitter);
+        deClicker.channelStages.forEach(({ clickGain, bandGains }, c) => {
+            assert.ok(splitter.routes.some(route => route.target === bandGains[i] && route.output === c));
+            assert.strictEqual(bandGains[i].connections[0], clickGain);
+        });
+    });
+    // the lowest band carries an allpass for each crossover above it, the highest ends on a highpass
+    assert.strictEqual(deClicker.crossover.bands[0].type, 'allpass');
+    assert.strictEqual(deClicker.crossover.bands[MULTIBAND_BANDS.length - 1].type, 'highpass');
+
+    // without a worklet to drive the band gains the plain delayed path plays
+    assert.strictEqual(deClicker.delayTap.gain.value, 1);
+    assert.strictEqual(deClicker.multibandTap.gain.value, 0);
+    assert.strictEqual(deClicker.dryDirect.gain.value, 1);
+});
+
+// magnitude and phase of a biquad at a frequency, from the web audio spec's filter formulas
+function biquadResponse(filter, frequency, sampleRate) {
+    const w0 = 2 * Math.PI * filter.frequency.value / sampleRate;
+    const cos = Math.cos(w0);
+    // lowpass and highpass read q in db, allpass as a plain ratio
+    const q = filter.type === 'allpass' ? filter.Q.value : Math.pow(10, filter.Q.value / 20);
+    const alpha = Math.sin(w0) / (2 * q);
+    const coefficients = {
+        lowpass: [[(1 - cos) / 2, 1 - cos, (1 - cos) / 2], [1 + alpha, -2 * cos, 1 - alpha]],
+        highpass: [[(1 + cos) / 2, -(1 + cos), (1 + cos) / 2], [1 + alpha, -2 * cos, 1 - alpha]],
+        allpass: [[1 - alpha, -2 * cos, 1 + alpha], [1 + alpha, -2 * cos, 1 - alpha]]
+    }[filter.type];
+
+    // evaluate b(z) / a(z) at z = e^(jw)
+    const w = 2 * Math.PI * frequency / sampleRate;
+    const evaluate = ([c0, c1, c2]) => [c0 + c1 * Math.cos(w) + c2 * Math.cos(2 * w), -c1 * Math.sin(w) - c2 * Math.sin(2 * w)];
+    const [br, bi] = evaluate(coefficients[0]);
+    const [ar, ai] = evaluate(coefficients[1]);
+    const denominator = ar * ar + ai * ai;
+    return [(br * ar + bi * ai) / denominator, (bi * ar - br * ai) / denominator];
+}
+
+test('the multiband crossover bands sum back flat', async () => {
+    const { deClicker } = createChain({ repairMethod: 'multiband' });
+    await deClicker.settingsReady;
+    const { input, bands, nodes } = deClicker.crossover;
+    const sampleRate = deClicker.audioContext.sampleRate;
+
+    [50, 200, 500, 800, 1200, 2000, 3500, 5000, 8000, 15000].forEach(frequency => {
+        // follow every path from the input to a band's end, multiplying the filter responses
+        let sum = [0, 0];
+        const visit = (node, [re, im]) => {
+            if (bands.includes(node)) sum = [sum[0] + re, sum[1] + im];
+            node.connections.filter(next => nodes.includes(next)).forEach(next => {
+                const [fr, fi] = biquadResponse(next, frequency, sampleRate);
+                visit(next, [re * fr - im * fi, re * fi + im * fr]);
+            });
+        };
+        visit(input, [1, 0]);
+
+        const gain = 20 * Math.log10(Math.hypot(sum[0], sum[1]));
+        assert.ok(Math.abs(gain) < 0.01, `${gain.toFixed(2)} dB at ${frequency} Hz`);
+    });
+});
+
+test('stereo and mono input runs in stereo and every channel gets its own gain stage', async () => {
+    const { deClicker } = createChain({ channelMode: 'split' });
+    await deClicker.settingsReady;
+
+    assert.strictEqual(deClicker.params.channelMode, 'split');
+    assert.strictEqual(deClicker.inputGain.channelCount, 2);
+    assert.strictEqual(deClicker.inputGain.channelInterpretation, 'speakers');
+    assert.strictEqual(deClicker.channelStages.length, 2);
+    deClicker.channelStages.forEach(({ clickGain }, c) => {
+        assert.deepStrictEqual(deClicker.channelSplitter.routes[c], { target: clickGain, output: c, input: 0 });
+    });
+    assert.ok(deClicker.delayTap.connections.includes(deClicker.channelSplitter));
+    assert.ok(deClicker.repairTap.connections.includes(deClicker.channelSplitter));
+
+    deClicker.setChannelMode('surround');
+    assert.strictEqual(deClicker.params.channelMode, 'split');
+    deClicker.setChannelMode('linked');
+    assert.strictEqual(deClicker.params.channelMode, 'linked');
+});
+
+test('a multichannel source gets a gain stage for each of its channels', async () => {
+    const { deClicker } = createChain({}, { channels: 6 });
+    await deClicker.settingsReady;
+
+    assert.strictEqual(deClicker.inputGain.channelCount, 6);
+    assert.strictEqual(deClicker.channelStages.length, 6);
+    deClicker.channelStages.forEach(({ clickGain }, c) => {
+        assert.deepStrictEqual(deClicker.channelSplitter.routes[c], { target: clickGain, output: c, input: 0 });
+    });
+    assert.strictEqual(createChain({}, { channels: 1 }).deClicker.channelStages.length, 2);
+    assert.strictEqual(createChain({}, { channels: 12 }).deClicker.channelStages.length, MAX_CHANNEL_COUNT);
+});
+
+test('a source wider than the chain asks for a wider chain', () => {
+    const counts = [];
+    const { deClicker } = createChain({}, { onChannelCount: channels => counts.push(channels) });
+
+    deClicker.handleProcessorMessage({ type: 'channels', value: 2 });
+    deClicker.handleProcessorMessage({ type: 'channels', value: 6 });
+    deClicker.handleProcessorMessage({ type: 'channels', value: 16 });
+    assert.deepStrictEqual(counts, [6, MAX_CHANNEL_COUNT]);
+});
+
+test('auto latency follows the content type and a chosen profile overrides it', async () => {
+    const { deClicker } = createChain({}, { contentType: 'live' });
+    assert.strictEqual(deClicker.latencyProfile, 'live');
+    assert.strictEqual(deClicker.delayNode.delayTime.value, 0.02);
+
+    await deClicker.settingsReady;
+    deClicker.setContentType('audio');
+    assert.strictEqual(deClicker.latencyProfile, 'quality');
+    assert.strictEqual(deClicker.delayNode.delayTime.value, 0.25);
+    // the output comes back once the delay has moved
+    assert.strictEqual(deClicker.outputGain.gain.value, 1);
+
+    deClicker.setLatencyProfile('low');
+    assert.strictEqual(deClicker.delayNode.delayTime.value, 0.06);
+    deClicker.setContentType('live');
+    assert.strictEqual(deClicker.latencyProfile, 'low');
+
+    deClicker.setLatencyProfile('instant');
+    assert.strictEqual(deClicker.params.latencyProfile, 'low');
+});
+
+test('a stored latency profile applies before the worklet starts', async () => {
+    const { deClicker } = createChain({ latencyProfile: 'live' }, { contentType: 'audio' });
+    await deClicker.settingsReady;
+
+    assert.strictEqual(deClicker.latencyProfile, 'live');
+    assert.strictEqual(deClicker.delayNode.delayTime.value, 0.02);
+    // nothing is playing through the worklet yet, so there is no switch to fade over
+    assert.deepStrictEqual(deClicker.outputGain.gain.automation, []);
+    assert.deepStrictEqual(deClicker.delayNode.delayTime.automation, []);
+
+    // dropping the setting with the rest of the stored settings returns to auto
+    deClicker.applySettings({});
+    assert.strictEqual(deClicker.latencyProfile, 'quality');
+});
+
+test('stored rate limits merge per mode over the defaults', async () => {
+    const { deClicker } = createChain({ rateLimits: { smack: { maxClicksPerSecond: 14, adaptive: true } } });
+    await deClicker.settingsReady;
+
+    assert.strictEqual(deClicker.params.rateLimits.smack.maxClicksPerSecond, 14);
+    assert.strictEqual(deClicker.params.rateLimits.smack.minClickInterval, 125);
+    assert.strictEqual(deClicker.params.rateLimits.click.adaptive, false);
+
+    deClicker.setRateLimits({ click: { suppression: 20 } });
+    assert.strictEqual(deClicker.params.rateLimits.click.suppression, 20);
+    assert.strictEqual(deClicker.params.rateLimits.smack.maxClicksPerSecond, 8);
+});
+
+test('setModes runs any combination of registered modes and setMode narrows to one', async () => {
+    const { deClicker } = createChain({ mode: 'smack', clickWidening: 5 });
+    await deClicker.settingsReady;
+
+    // settings from before modes could be combined select their single mode
+    assert.deepStrictEqual(deClicker.params.modes, ['smack']);
+
+    deClicker.setModes(['chewing', 'humming', 'slurping', 'chewing']);
+    assert.deepStrictEqual(deClicker.params.modes, ['chewing', 'slurping']);
+    assert.strictEqual(deClicker.params.mode, 'chewing');
+    // widening is applied per repair in the worklet, the user's setting stays as it was
+    assert.strictEqual(deClicker.params.clickWidening, 5);
+
+    deClicker.setMode('slurping');
+    assert.deepStrictEqual(deClicker.params.modes, ['slurping']);
+
+    deClicker.setMode('humming');
+    assert.deepStrictEqual(deClicker.params.modes, ['slurping']);
+});
+
+test('destroying the chain settles a capture and a feedback mark still waiting on the worklet', async () => {
+    const { deClicker } = createChain();
+    await deClicker.settingsReady;
+    const posted = [];
+    deClicker.processorNode = {
+        port: { postMessage: message => posted.push(message.type), close() { } },
+        disconnect() { }
+    };
+    deClicker.processorReady = Promise.resolve();
+
+    const capture = deClicker.captureInput(3);
+    const feedback = deClicker.captureFeedback('miss');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(posted, ['feedback', 'capture']);
+
+    deClicker.destroy();
+    await assert.rejects(capture, /while listening/);
+    assert.strictEqual(await feedback, null);
+});
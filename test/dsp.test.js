@@ -0,0 +1,393 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MouthClickDetector } = require('../dsp.js');
+const { Modes } = require('../modes.js');
+const { createFixture, createRandom } = require('./fixtures');
+const { scoreDetections } = require('./metrics');
+const { detectClicks } = require('./run-detection');
+
+const SAMPLE_RATE = 48000;
+
+function createDetector() {
+    return new MouthClickDetector(SAMPLE_RATE, { frameSize: 1024, hopSize: 128 });
+}
+
+// autoregressive process with the given coefficients (a1, a2, ...) driven by seeded noise
+function arSignal(length, ...coefficients) {
+    const random = createRandom(5);
+    const signal = new Float32Array(length);
+    for (let i = coefficients.length; i < length; i++) {
+        signal[i] = coefficients.reduce((sum, a, j) => sum + a * signal[i - j - 1], (random() - 0.5) * 0.01);
+    }
+    return signal;
+}
+
+// coefficients of a fourth-order process with resonances at 2 khz and 6 khz
+function resonantCoefficients() {
+    const pair = (radius, frequency) => [2 * radius * Math.cos(2 * Math.PI * frequency / SAMPLE_RATE), -radius * radius];
+    const [b1, b2] = pair(0.9, 2000);
+    const [c1, c2] = pair(0.8, 6000);
+    // (1 - b1 z^-1 - b2 z^-2)(1 - c1 z^-1 - c2 z^-2) as a predictor
+    return [b1 + c1, b2 + c2 - b1 * c1, -(b1 * c2 + b2 * c1), -b2 * c2];
+}
+
+function sineFrame(freq, amplitude = 0.3) {
+    const frame = new Float32Array(1024);
+    for (let i = 0; i < frame.length; i++) {
+        frame[i] = amplitude * Math.sin(2 * Math.PI * freq * i / SAMPLE_RATE);
+    }
+    return frame;
+}
+
+test('lpc recovers the coefficients of an autoregressive process', () => {
+    const detector = createDetector();
+    const { coefficients } = detector.computeLPCCoefficients(arSignal(8192, 1.6, -0.8), 2);
+
+    assert.ok(Math.abs(coefficients[1] - 1.6) < 0.05, `a1 = ${coefficients[1]}`);
+    assert.ok(Math.abs(coefficients[2] + 0.8) < 0.05, `a2 = ${coefficients[2]}`);
+});
+
+test('lpc at the detection and interpolation orders predicts a fourth-order process down to its noise', () => {
+    const detector = createDetector();
+    const expected = resonantCoefficients();
+    const signal = arSignal(16384, ...expected);
+    const noisePower = 0.01 * 0.01 / 12; // of the uniform noise driving arSignal
+
+    [detector.lpcOrder, detector.interpolationOrder].forEach(order => {
+        const { coefficients } = detector.computeLPCCoefficients(signal, order);
+        assert.strictEqual(coefficients.length, order + 1);
+        assert.ok(Math.abs(coefficients[1] - expected[0]) < 0.1, `order ${order}: a1 = ${coefficients[1]}, expected ${expected[0]}`);
+
+        const error = detector.computePredictionError(signal, coefficients);
+        let power = 0;
+        for (let i = order; i < error.length; i++) {
+            power += error[i] * error[i];
+        }
+        power /= error.length - order;
+        assert.ok(power < noisePower * 1.1, `order ${order}: prediction error ${(power / noisePower).toFixed(2)}x the noise`);
+    });
+});
+
+test('interpolation rebuilds a gap in a tone', () => {
+    const detector = createDetector();
+    const random = createRandom(9);
+    const original = new Float32Array(4096);
+    for (let i = 0; i < original.length; i++) {
+        original[i] = 0.3 * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE) + (random() - 0.5) * 1e-4;
+    }
+
+    // a 2ms gap, the length of a wide click
+    const start = 2000;
+    const end = start + 96;
+    const buffer = Float32Array.from(original);
+    buffer.fill(0, start, end);
+    const interpolated = detector.interpolateAudioSegment(start, end, buffer);
+
+    let error = 0;
+    let energy = 0;
+    for (let i = 0; i < interpolated.length; i++) {
+        error += (interpolated[i] - original[start + i]) ** 2;
+        energy += original[start + i] ** 2;
+    }
+    assert.ok(Math.sqrt(error / energy) < 0.05, `relative error ${Math.sqrt(error / energy)}`);
+});
+
+test('lpc prediction error peaks at an inserted impulse', () => {
+    const detector = createDetector();
+    const signal = arSignal(1024, 1.6, -0.8);
+    signal[700] += 0.5;
+
+    const { coefficients } = detector.computeLPCCoefficients(signal, detector.lpcOrder);
+    const error = detector.computePredictionError(signal, coefficients);
+
+    let peakIndex = 0;
+    for (let i = 0; i < error.length; i++) {
+        if (Math.abs(error[i]) > Math.abs(error[peakIndex])) peakIndex = i;
+    }
+    assert.strictEqual(peakIndex, 700);
+});
+
+test('spectrum peaks in the bin of a pure tone', () => {
+    const detector = createDetector();
+    const bin = 64;
+    const spectrum = detector.computeSpectrum(sineFrame(bin * SAMPLE_RATE / detector.fftSize));
+
+    let peak = 0;
+    for (let i = 0; i < spectrum.length; i++) {
+        if (spectrum[i] > spectrum[peak]) peak = i;
+    }
+    assert.strictEqual(peak, bin);
+});
+
+test('band energy averages linear magnitude over the cached bins and applies the weight', () => {
+    const detector = createDetector();
+    detector.initFreqBinCache();
+    const { minBin, maxBin } = detector.freqBinCache.mouth;
+    // bins are sampleRate / fftSize apart, so 2-5kHz at 48kHz and 1024 points
+    assert.deepStrictEqual([minBin, maxBin], [42, 106]);
+
+    const spectrum = new Float32Array(detector.frequencyBinCount).fill(-160);
+    for (let i = minBin; i < maxBin; i++) spectrum[i] = -20; // 0.1 linear
+
+    const band = detector.freqBands.mouth;
+    const energy = detector.calculateBandEnergy(spectrum, band.min, band.max, 1.5);
+    assert.ok(Math.abs(energy - 0.15) < 1e-6, `energy = ${energy}`);
+});
+
+test('spectral flux only rises when the spectrum changes', () => {
+    const detector = createDetector();
+    const quiet = sineFrame(200, 0.05);
+    const quietSpectrum = Float32Array.from(detector.computeSpectrum(quiet));
+
+    detector.detectMouthClick(quiet, quietSpectrum, 0);
+    const steady = detector.detectMouthClick(quiet, quietSpectrum, 3);
+    assert.strictEqual(steady.details.spectralFlux, 0);
+
+    const burst = Float32Array.from(quiet);
+    for (let i = 900; i < 960; i++) burst[i] += 0.4 * Math.sin(2 * Math.PI * 3500 * i / SAMPLE_RATE);
+    const burstSpectrum = Float32Array.from(detector.computeSpectrum(burst));
+    const changed = detector.detectMouthClick(burst, burstSpectrum, 6);
+    assert.ok(changed.details.spectralFlux > 0);
+});
+
+test('speech protection is stronger on voiced sound than on an isolated click', () => {
+    const detector = createDetector();
+
+    const voiced = new Float32Array(1024);
+    for (let k = 1; k <= 10; k++) {
+        for (let i = 0; i < voiced.length; i++) {
+            voiced[i] += 0.2 / k * Math.sin(2 * Math.PI * 150 * k * i / SAMPLE_RATE);
+        }
+    }
+    const click = new Float32Array(1024);
+    for (let i = 0; i < 60; i++) {
+        click[960 + i] = 0.4 * Math.sin(2 * Math.PI * 4000 * i / SAMPLE_RATE) * Math.exp(-i / 15);
+    }
+
+    const protectionFor = (frame) => detector.speechAnalyzer.analyze(frame).protection;
+
+    assert.ok(protectionFor(voiced) > protectionFor(click));
+});
+
+test('the noise floor is the 10th percentile of the loudness history', () => {
+    const detector = createDetector();
+    const random = createRandom(29);
+    const history = new Array(detector.loudnessHistoryLength).fill(-60);
+    for (let n = 0; n < detector.loudnessHistoryLength * 3; n++) {
+        const frame = new Float32Array(256).fill(Math.pow(10, -(10 + random() * 60) / 20));
+        const { loudnessDb } = detector.trackLoudness(frame);
+        history.push(loudnessDb);
+        history.shift();
+
+        const sorted = [...history].sort((a, b) => a - b);
+        assert.strictEqual(detector.backgroundNoiseLevel, sorted[Math.floor(sorted.length * 0.1)]);
+    }
+});
+
+test('detectors running different modes on a shared analysis match detectors analyzing alone', () => {
+    const fixture = createFixture('podcast');
+    const analyzer = createDetector();
+    const shared = ['click', 'chewing'].map(mode => {
+        const detector = createDetector();
+        detector.updateParameters({ mode, sensitivity: 1.4 });
+        return detector;
+    });
+    const alone = ['click', 'chewing'].map(mode => {
+        const detector = createDetector();
+        detector.updateParameters({ mode, sensitivity: 1.4 });
+        return detector;
+    });
+
+    for (let end = 1024; end <= SAMPLE_RATE * 3; end += 128) {
+        const frame = fixture.samples.subarray(end - 1024, end);
+        const spectrum = analyzer.computeSpectrum(frame);
+        const time = end / SAMPLE_RATE * 1000;
+        const analysis = analyzer.analyzeFrame(frame, spectrum, time);
+        shared.forEach((detector, i) => {
+            const result = detector.detectMouthClick(frame, spectrum, time, analysis);
+            const expected = alone[i].detectMouthClick(frame, spectrum, time);
+            assert.strictEqual(result.isClick, expected.isClick);
+            assert.strictEqual(result.confidence, expected.confidence);
+        });
+    }
+});
+
+test('rate limiting enforces the minimum interval and the per-second cap', () => {
+    const detector = createDetector();
+
+    assert.strictEqual(detector.shouldProcessClick(false, 1, 0), false);
+    assert.strictEqual(detector.shouldProcessClick(true, 1, 0), true);
+    assert.strictEqual(detector.shouldProcessClick(true, 1, 60), false); // within 125ms
+    assert.strictEqual(detector.shouldProcessClick(true, 0.1, 300), false); // not confident enough
+
+    let accepted = 1;
+    for (let time = 130; time < 1000; time += 130) {
+        if (detector.shouldProcessClick(true, 2, time)) accepted++;
+    }
+    assert.ok(accepted <= detector.params.rateLimits.click.maxClicksPerSecond);
+});
+
+test('rate limits follow the settings of the current mode', () => {
+    const detector = createDetector();
+    detector.updateParameters({
+        mode: 'smack',
+        rateLimits: { smack: { maxClicksPerSecond: 20, minClickInterval: 40, suppression: 20 } }
+    });
+    assert.strictEqual(detector.params.rateLimits.click.maxClicksPerSecond, 8);
+
+    let accepted = 0;
+    for (let time = 0; time < 1000; time += 50) {
+        if (detector.shouldProcessClick(true, 2, time)) accepted++;
+    }
+    assert.strictEqual(accepted, 20);
+    assert.strictEqual(detector.droppedClicks, 0);
+
+    // the same stream in click mode runs into the default budget
+    detector.updateParameters({ mode: 'click' });
+    detector.clickHistory = [];
+    for (let time = 2000; time < 3000; time += 50) detector.shouldProcessClick(true, 2, time);
+    assert.ok(detector.droppedClicks > 0);
+});
+
+test('adaptive budget grows with confident detections and shrinks with marginal ones', () => {
+    const budgetFor = (confidence) => {
+        const detector = createDetector();
+        detector.updateParameters({ rateLimits: { click: { adaptive: true } } });
+        for (let time = 0; time < 500; time += 10) detector.shouldProcessClick(true, confidence, time);
+        return detector.clickBudget.maxClicksPerSecond;
+    };
+
+    assert.ok(budgetFor(2) > 8, `strong ${budgetFor(2)}`);
+    assert.ok(budgetFor(0.6) < 8, `marginal ${budgetFor(0.6)}`);
+});
+
+test('modes scale thresholds and band weights from the registry', () => {
+    const detector = createDetector();
+    const lpcError = detector.params.thresholds.lpcError;
+    assert.strictEqual(detector.threshold('lpcError'), lpcError);
+
+    detector.updateParameters({ mode: 'breathing' });
+    const profile = Modes.get('breathing');
+    assert.strictEqual(detector.threshold('lpcError'), lpcError * profile.thresholdScale.lpcError);
+    assert.strictEqual(detector.bandWeight('mid'), detector.params.freqWeights.mid * profile.bandWeights.mid);
+    assert.strictEqual(detector.rateLimitSettings().maxClicksPerSecond, profile.rateLimit.maxClicksPerSecond);
+
+    // a stored mode that no longer exists detects like click
+    detector.updateParameters({ mode: 'removed-mode' });
+    assert.strictEqual(detector.threshold('lpcError'), lpcError);
+});
+
+test('every registered mode detects differently on the podcast fixture', () => {
+    const fixture = createFixture('podcast');
+    const detections = Modes.ids().map(mode =>
+        JSON.stringify(detectClicks(fixture.samples, fixture.sampleRate, { mode, sensitivity: 1.4 }).map(click => click.time)));
+
+    assert.strictEqual(new Set(detections).size, Modes.ids().length);
+});
+
+test('site feedback scales the detection thresholds but not the classifier features', () => {
+    const detector = createDetector();
+    const frame = sineFrame(3000, 0.05);
+    const spectrum = Float32Array.from(detector.computeSpectrum(frame));
+    const before = detector.detectMouthClick(frame, spectrum, 0);
+
+    detector.updateParameters({ feedbackScale: 1.5 });
+    assert.strictEqual(detector.threshold('lpcError'), detector.params.thresholds.lpcError * 1.5);
+    assert.strictEqual(detector.modeThreshold('lpcError'), detector.params.thresholds.lpcError);
+
+    const after = createDetector();
+    after.updateParameters({ feedbackScale: 1.5 });
+    const scaled = after.detectMouthClick(frame, spectrum, 0);
+    assert.deepStrictEqual(scaled.details.features, before.details.features);
+    assert.ok(scaled.details.dynamicThreshold >= before.details.dynamicThreshold);
+});
+
+test('multiband repair picks the bands a burst raised, leaning with the frequency skew', () => {
+    const detector = createDetector();
+    const tone = sineFrame(300, 0.2);
+    const toneSpectrum = Float32Array.from(detector.computeSpectrum(tone));
+    for (let time = 0; time < 100; time += 3) detector.detectMouthClick(tone, toneSpectrum, time);
+
+    const burst = Float32Array.from(tone);
+    for (let i = 900; i < 960; i++) burst[i] += 0.4 * Math.sin(2 * Math.PI * 3500 * i / SAMPLE_RATE);
+    const result = detector.detectMouthClick(burst, Float32Array.from(detector.computeSpectrum(burst)), 103);
+    const bands = detector.selectRepairBands(result.details.bandRise);
+    assert.ok(bands.includes('mouth'), bands.join());
+    assert.ok(!bands.includes('low'), bands.join());
+
+    // a rise shared by low and mouth: the neutral skew takes both, a low skew keeps to low and a
+    // high skew drops it for the upper bands
+    const bandRise = { low: 4, mid: 1, high: 1, mouth: 4 };
+    assert.deepStrictEqual(detector.selectRepairBands(bandRise).sort(), ['low', 'mouth']);
+    detector.updateParameters({ frequencySkew: -1 });
+    assert.deepStrictEqual(detector.selectRepairBands(bandRise), ['low']);
+    detector.updateParameters({ frequencySkew: 1 });
+    assert.deepStrictEqual(detector.selectRepairBands(bandRise).sort(), ['high', 'mouth']);
+});
+
+test('multiband repair ducks the crossover band a burst sits in', () => {
+    [[1500, 'mid'], [3500, 'mouth'], [6000, 'high']].forEach(([freq, band]) => {
+        const detector = createDetector();
+        const tone = sineFrame(300, 0.2);
+        const toneSpectrum = Float32Array.from(detector.computeSpectrum(tone));
+        for (let time = 0; time < 100; time += 3) detector.detectMouthClick(tone, toneSpectrum, time);
+
+        const burst = Float32Array.from(tone);
+        for (let i = 900; i < 960; i++) burst[i] += 0.4 * Math.sin(2 * Math.PI * freq * i / SAMPLE_RATE);
+        const result = detector.detectMouthClick(burst, Float32Array.from(detector.computeSpectrum(burst)), 103);
+        assert.deepStrictEqual(detector.selectRepairBands(result.details.bandRise), [band], `${freq}Hz`);
+    });
+});
+
+test('the frequency skew tilts the spectral detectors toward bright or dark frames', () => {
+    const confidenceAt = (frequencySkew, freq) => {
+        const detector = createDetector();
+        detector.updateParameters({ frequencySkew });
+        const quiet = sineFrame(freq, 0.001);
+        detector.detectMouthClick(quiet, Float32Array.from(detector.computeSpectrum(quiet)), 0);
+        const burst = sineFrame(freq, 0.3);
+        return detector.detectMouthClick(burst, Float32Array.from(detector.computeSpectrum(burst)), 3).confidence;
+    };
+
+    const bright = [-0.5, 0, 0.5].map(skew => confidenceAt(skew, 7000));
+    assert.ok(bright[0] < bright[1] && bright[1] < bright[2], bright.join());
+    const dark = [-0.5, 0, 0.5].map(skew => confidenceAt(skew, 1000));
+    assert.ok(dark[0] > dark[1] && dark[1] > dark[2], dark.join());
+});
+
+test('fixtures render identically from their seed', () => {
+    const first = createFixture('podcast');
+    const second = createFixture('podcast');
+
+    assert.deepStrictEqual(first.events, second.events);
+    assert.strictEqual(first.samples[12345], second.samples[12345]);
+    assert.ok(first.events.length > 0);
+});
+
+test('clicks in the podcast fixture are found at default sensitivity', () => {
+    const fixture = createFixture('podcast');
+    const score = scoreDetections(fixture, detectClicks(fixture.samples, fixture.sampleRate, { sensitivity: 1.0 }));
+
+    assert.ok(score.recall >= 0.5, `recall = ${score.recall}`);
+});
+
+test('clicks dropped by the rate limiter are still reported as detected', () => {
+    const fixture = createFixture('podcast');
+    const detector = createDetector();
+    detector.updateParameters({ sensitivity: 1.4 });
+
+    let processed = 0;
+    let dropped = 0;
+    for (let end = detector.frameSize; end <= fixture.samples.length; end += detector.hopSize) {
+        const frame = fixture.samples.subarray(end - detector.frameSize, end);
+        const result = detector.detectMouthClick(frame, detector.computeSpectrum(frame), end / SAMPLE_RATE * 1000);
+        if (result.isClick) {
+            assert.strictEqual(result.detected, true);
+            processed++;
+        } else if (result.rateLimited) {
+            assert.strictEqual(result.detected, true);
+            dropped++;
+        }
+    }
+    assert.ok(processed > 0 && dropped > 0, `processed ${processed}, dropped ${dropped}`);
+});
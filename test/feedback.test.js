@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Feedback, FEEDBACK_MAX_LABELS } = require('../feedback.js');
+
+function label(kind, margin) {
+    return { kind, time: 0, mode: 'click', margin, features: {} };
+}
+
+test('missed clicks lower a site\'s thresholds and speech raises them, a step at a time', () => {
+    assert.strictEqual(Feedback.thresholdScale([]), 1);
+
+    const missed = Feedback.thresholdScale([label('miss', 0.6)]);
+    assert.ok(missed < 1 && missed > 0.6, `one miss: ${missed}`);
+    assert.ok(Feedback.thresholdScale([label('miss', 0.6), label('miss', 0.6)]) < missed);
+
+    const speech = Feedback.thresholdScale([label('speech', 1.6)]);
+    assert.ok(speech > 1 && speech < 1.6, `one speech: ${speech}`);
+
+    // a near miss moves the thresholds less than a clear one
+    assert.ok(Feedback.thresholdScale([label('miss', 0.9)]) > missed);
+});
+
+test('labels never push the thresholds past their range', () => {
+    const misses = Array.from({ length: 40 }, () => label('miss', 0.1));
+    const speech = Array.from({ length: 40 }, () => label('speech', 10));
+
+    assert.strictEqual(Feedback.thresholdScale(misses), 0.5);
+    assert.strictEqual(Feedback.thresholdScale(speech), 2.0);
+    // labels replay in order, so later ones pull back from the limit
+    assert.ok(Feedback.thresholdScale([...misses, label('speech', 2)]) > 0.5);
+});
+
+test('labels are kept per site, newest last, up to the cap', () => {
+    let stored = {};
+    for (let i = 0; i < FEEDBACK_MAX_LABELS + 5; i++) {
+        stored = Feedback.addLabel(stored, 'example.com', { ...label('miss', 0.5), time: i });
+    }
+    stored = Feedback.addLabel(stored, 'other.com', label('speech', 1.5));
+
+    assert.strictEqual(stored['example.com'].length, FEEDBACK_MAX_LABELS);
+    assert.strictEqual(stored['example.com'][0].time, 5);
+    assert.deepStrictEqual(Feedback.summarize(stored['other.com']), { miss: 0, speech: 1 });
+});
+
+test('a captured frame is stored with rounded features', () => {
+    const stored = Feedback.createLabel('speech', {
+        mode: 'smack',
+        margin: 1.23456,
+        features: { spectralFlux: 0.123456789, spectralCentroid: 4567.891, periodicity: NaN }
+    }, 42);
+
+    assert.deepStrictEqual(stored, {
+        kind: 'speech',
+        time: 42,
+        mode: 'smack',
+        margin: 1.235,
+        features: { spectralFlux: 0.1235, spectralCentroid: 4568, periodicity: 0 }
+    });
+});
@@ -0,0 +1,189 @@
+// synthetic fixtures: speech-like signals with mouth clicks and smacks mixed in at known times
+// everything is driven by a seeded random generator, so a scenario renders identically every run
+
+// mulberry32, small and good enough for test signals
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function between(random, min, max) {
+    return min + (max - min) * random();
+}
+
+// gain of a simple resonance, used to shape harmonics into vowel-like formants
+function formantGain(freq, center, bandwidth) {
+    const d = (freq - center) / bandwidth;
+    return 1 / (1 + d * d);
+}
+
+// vowel formant sets (f1, f2, f3) a syllable can pick from
+const VOWELS = [
+    [730, 1090, 2440], // a
+    [530, 1840, 2480], // e
+    [270, 2290, 3010], // i
+    [570, 840, 2410],  // o
+    [300, 870, 2240]   // u
+];
+
+// one voiced syllable: harmonics of a gliding pitch, shaped by formants, under a smooth envelope
+function addSyllable(samples, sampleRate, random, start, length, level) {
+    const f0Start = between(random, 95, 210);
+    const f0End = f0Start * between(random, 0.85, 1.15);
+    const formants = VOWELS[Math.floor(random() * VOWELS.length)];
+
+    const harmonics = [];
+    for (let k = 1; k * f0Start < 4000; k++) {
+        harmonics.push({ k, phase: random() * Math.PI * 2 });
+    }
+
+    let phase = 0;
+    for (let i = 0; i < length && start + i < samples.length; i++) {
+        const t = i / length;
+        const f0 = f0Start + (f0End - f0Start) * t;
+        phase += 2 * Math.PI * f0 / sampleRate;
+
+        // raised-cosine attack and release around a sustained middle
+        const envelope = t < 0.15 ? 0.5 - 0.5 * Math.cos(Math.PI * t / 0.15) :
+            t > 0.8 ? 0.5 + 0.5 * Math.cos(Math.PI * (t - 0.8) / 0.2) : 1;
+
+        let value = 0;
+        for (const { k, phase: offset } of harmonics) {
+            const freq = k * f0;
+            const gain = (formantGain(freq, formants[0], 90) +
+                0.6 * formantGain(freq, formants[1], 120) +
+                0.3 * formantGain(freq, formants[2], 160)) / k;
+            value += gain * Math.sin(k * phase + offset);
+        }
+        samples[start + i] += value * envelope * level * 0.5;
+    }
+}
+
+// unvoiced fricative ('s', 'f', 'sh'): high-passed noise with a soft envelope, a classic false positive
+function addFricative(samples, sampleRate, random, start, length, level) {
+    let previous = 0;
+    for (let i = 0; i < length && start + i < samples.length; i++) {
+        const t = i / length;
+        const envelope = Math.sin(Math.PI * t);
+        const noise = random() * 2 - 1;
+        const highPassed = noise - previous * 0.7;
+        previous = noise;
+        samples[start + i] += highPassed * envelope * level * 0.25;
+    }
+}
+
+// mouth click: 1-3ms decaying resonance in the 2-5khz mouth band with a noisy onset
+function addClick(samples, sampleRate, random, position, amplitude) {
+    const length = Math.round(between(random, 0.001, 0.003) * sampleRate);
+    const freq = between(random, 2000, 5000);
+    const decay = length / 4;
+    for (let i = 0; i < length * 2 && position + i < samples.length; i++) {
+        const ring = Math.sin(2 * Math.PI * freq * i / sampleRate) * Math.exp(-i / decay);
+        const onset = i < length / 3 ? (random() * 2 - 1) * 0.5 : 0;
+        samples[position + i] += (ring + onset) * amplitude;
+    }
+    return length / sampleRate;
+}
+
+// lip smack: a wetter 10-30ms cluster of two to four softer, lower clicks
+function addSmack(samples, sampleRate, random, position, amplitude) {
+    const length = Math.round(between(random, 0.01, 0.03) * sampleRate);
+    const parts = 2 + Math.floor(random() * 3);
+    for (let p = 0; p < parts; p++) {
+        const offset = Math.round(length * p / parts + between(random, 0, length / parts / 2));
+        const freq = between(random, 1200, 3500);
+        const partLength = Math.round(between(random, 0.002, 0.006) * sampleRate);
+        const partAmplitude = amplitude * between(random, 0.5, 1);
+        for (let i = 0; i < partLength && position + offset + i < samples.length; i++) {
+            const envelope = Math.exp(-i / (partLength / 3));
+            samples[position + offset + i] += Math.sin(2 * Math.PI * freq * i / sampleRate) * envelope * partAmplitude;
+        }
+    }
+    return length / sampleRate;
+}
+
+// render speech with pauses; returns the voiced and unvoiced regions in seconds
+function renderSpeech(samples, sampleRate, random, level) {
+    const regions = [];
+    let time = between(random, 0.1, 0.3);
+    const duration = samples.length / sampleRate;
+
+    while (time < duration - 0.3) {
+        // a phrase of a few syllables, sometimes led by a fricative
+        const syllables = 2 + Math.floor(random() * 5);
+        for (let s = 0; s < syllables && time < duration - 0.3; s++) {
+            if (random() < 0.3) {
+                const length = between(random, 0.06, 0.12);
+                addFricative(samples, sampleRate, random, Math.round(time * sampleRate), Math.round(length * sampleRate), level);
+                regions.push({ start: time, end: time + length, kind: 'unvoiced' });
+                time += length;
+            }
+
+            const length = between(random, 0.12, 0.3);
+            addSyllable(samples, sampleRate, random, Math.round(time * sampleRate), Math.round(length * sampleRate), level * between(random, 0.6, 1));
+            regions.push({ start: time, end: time + length, kind: 'voiced' });
+            time += length + between(random, 0.03, 0.12);
+        }
+        time += between(random, 0.3, 0.7); // pause between phrases
+    }
+    return regions;
+}
+
+function insideRegion(regions, time) {
+    return regions.some(region => time >= region.start && time < region.end);
+}
+
+// scenarios the runner sweeps; sound levels are peak amplitudes
+const SCENARIOS = {
+    podcast: { seed: 11, duration: 6, speechLevel: 0.3, noise: 0.002, clicks: 10, smacks: 3, eventLevel: [0.05, 0.25] },
+    asmr: { seed: 23, duration: 6, speechLevel: 0.08, noise: 0.001, clicks: 5, smacks: 8, eventLevel: [0.02, 0.08] },
+    noisy: { seed: 37, duration: 6, speechLevel: 0.25, noise: 0.02, clicks: 10, smacks: 2, eventLevel: [0.08, 0.3] },
+    cleanSpeech: { seed: 51, duration: 6, speechLevel: 0.3, noise: 0.002, clicks: 0, smacks: 0, eventLevel: [0, 0] }
+};
+
+// build a fixture: { name, samples, sampleRate, events: [{ time, end, type }], speech: [{ start, end, kind }] }
+// another seed renders a new take of the same scenario, which is what the classifier trains on
+function createFixture(name, sampleRate = 48000, seed = null) {
+    const scenario = SCENARIOS[name];
+    if (!scenario) {
+        throw new Error(`unknown scenario ${name}`);
+    }
+
+    const random = createRandom(seed === null ? scenario.seed : seed);
+    const samples = new Float32Array(Math.round(scenario.duration * sampleRate));
+
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = (random() * 2 - 1) * scenario.noise;
+    }
+    const speech = renderSpeech(samples, sampleRate, random, scenario.speechLevel);
+
+    // spread events out so the detector's rate limiter never has to choose between them
+    const events = [];
+    const minSpacing = 0.25;
+    const types = [...Array(scenario.clicks).fill('click'), ...Array(scenario.smacks).fill('smack')];
+    types.forEach(type => {
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const time = between(random, 0.2, scenario.duration - 0.2);
+            if (events.some(event => Math.abs(event.time - time) < minSpacing)) continue;
+
+            const amplitude = between(random, scenario.eventLevel[0], scenario.eventLevel[1]);
+            const position = Math.round(time * sampleRate);
+            const length = type === 'click' ?
+                addClick(samples, sampleRate, random, position, amplitude) :
+                addSmack(samples, sampleRate, random, position, amplitude);
+            events.push({ time, end: time + length, type, duringSpeech: insideRegion(speech, time) });
+            break;
+        }
+    });
+    events.sort((a, b) => a.time - b.time);
+
+    return { name, samples, sampleRate, events, speech };
+}
+
+module.exports = { SCENARIOS, createRandom, createFixture, insideRegion };
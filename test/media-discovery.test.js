@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { StubDocument, loadPageScripts } = require('./stubs');
+
+// media discovery on a stub page; released elements are collected with whether they were discarded
+// and handed to onRemoved, as content teardown would get them. animation frames wait in frames
+function discover(document, onRemoved = () => {}) {
+    const frames = [];
+    const { MediaDiscovery } = loadPageScripts(['media-discovery.js'], {
+        document,
+        Node: { ELEMENT_NODE: 1 },
+        MutationObserver: class {
+            observe() {}
+        },
+        requestAnimationFrame: callback => frames.push(callback),
+        handleError: () => {}
+    }, ['MediaDiscovery']);
+
+    const played = [];
+    const removed = [];
+    MediaDiscovery.init(element => played.push(element), (element, discarded) => {
+        removed.push({ element, discarded });
+        onRemoved(element);
+    });
+    const runFrame = () => frames.splice(0).forEach(callback => callback());
+    return { MediaDiscovery, played, removed, frames, runFrame };
+}
+
+// a page with a same-origin frame playing a video
+function createFramedPage() {
+    const document = new StubDocument();
+    const frame = document.appendChild(document.createFrame());
+    const video = frame.contentDocument.appendChild(frame.contentDocument.createElement('video'));
+    video.paused = false;
+    return { document, frame, video };
+}
+
+// what a browser does when a frame is taken out of the page: its document unloads and loses its window
+function removeFrame(frame) {
+    frame.remove();
+    frame.contentWindow.dispatchEvent('pagehide');
+    frame.contentDocument.defaultView = null;
+}
+
+test('media in a removed iframe is released for good when the frame unloads', () => {
+    const { document, frame, video } = createFramedPage();
+    const { MediaDiscovery, played, removed } = discover(document);
+    assert.deepStrictEqual(played, [video]);
+
+    removeFrame(frame);
+    assert.deepStrictEqual(removed, [{ element: video, discarded: true }]);
+    assert.strictEqual(MediaDiscovery.elements.size, 0);
+
+    // the mutation that reports the frame's removal finds nothing more to release
+    MediaDiscovery.handleMutations([{ addedNodes: [], removedNodes: [frame] }]);
+    assert.strictEqual(removed.length, 1);
+});
+
+test('a removed frame\'s media is released by the mutation if its unload went unseen', () => {
+    const { document, frame, video } = createFramedPage();
+    const audio = frame.contentDocument.appendChild(frame.contentDocument.createElement('audio'));
+    audio.paused = false;
+
+    // each element shows its timeline, which is torn down with it
+    const { ClickTimeline } = loadPageScripts(['click-timeline.js'], {}, ['ClickTimeline']);
+    const timelines = new Map();
+    const { MediaDiscovery, removed } = discover(document, element => timelines.get(element).destroy());
+    [video, audio].forEach(element => {
+        const timeline = new ClickTimeline(element);
+        timeline.setEnabled(true);
+        timelines.set(element, timeline);
+    });
+
+    frame.remove();
+    frame.contentDocument.defaultView = null;
+    MediaDiscovery.handleMutations([{ addedNodes: [], removedNodes: [frame] }]);
+
+    // the media is still connected to the frame's document, which lost its window
+    assert.strictEqual(video.isConnected, true);
+    assert.deepStrictEqual(removed, [{ element: video, discarded: true }, { element: audio, discarded: true }]);
+    timelines.forEach(timeline => assert.strictEqual(timeline.container, null));
+});
+
+test('media taken out of the page itself can come back', () => {
+    const document = new StubDocument();
+    const audio = document.appendChild(document.createElement('audio'));
+    const { MediaDiscovery, removed } = discover(document);
+
+    audio.remove();
+    MediaDiscovery.handleMutations([{ addedNodes: [], removedNodes: [audio] }]);
+    assert.deepStrictEqual(removed, [{ element: audio, discarded: false }]);
+});
+
+test('nodes inserted within a frame are scanned together on the next animation frame', () => {
+    const document = new StubDocument();
+    const { MediaDiscovery, played, frames, runFrame } = discover(document);
+
+    const player = document.body.appendChild(document.createElement('div'));
+    const video = player.appendChild(document.createElement('video'));
+    video.paused = false;
+    const gone = document.body.appendChild(document.createElement('audio'));
+    gone.remove();
+
+    const scanned = [];
+    const scan = MediaDiscovery.scan;
+    MediaDiscovery.scan = function (root) {
+        scanned.push(root);
+        scan.call(this, root);
+    };
+    MediaDiscovery.handleMutations([{ addedNodes: [player], removedNodes: [] }]);
+    MediaDiscovery.handleMutations([{ addedNodes: [video, gone], removedNodes: [] }]);
+    assert.strictEqual(frames.length, 1);
+    assert.strictEqual(MediaDiscovery.elements.size, 0);
+
+    // the video is covered by its player's scan, the audio was taken out again before it
+    runFrame();
+    assert.deepStrictEqual(scanned, [player]);
+    assert.deepStrictEqual(played, [video]);
+    assert.deepStrictEqual([...MediaDiscovery.elements], [video]);
+});
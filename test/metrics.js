@@ -0,0 +1,45 @@
+// detection metrics against a fixture's known events
+
+const { insideRegion } = require('./fixtures');
+
+// a detection counts for an event if it lands within this margin of it (seconds)
+const MATCH_TOLERANCE = 0.02;
+
+// detections: [{ time }] in seconds; each event can be matched by at most one detection
+function scoreDetections(fixture, detections) {
+    const matched = new Set();
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falsePositivesOnSpeech = 0;
+
+    detections.forEach(detection => {
+        const index = fixture.events.findIndex((event, i) => !matched.has(i) &&
+            detection.time >= event.time - MATCH_TOLERANCE &&
+            detection.time <= event.end + MATCH_TOLERANCE);
+
+        if (index >= 0) {
+            matched.add(index);
+            truePositives++;
+            return;
+        }
+
+        falsePositives++;
+        if (insideRegion(fixture.speech, detection.time)) {
+            falsePositivesOnSpeech++;
+        }
+    });
+
+    const missed = fixture.events.length - truePositives;
+    return {
+        events: fixture.events.length,
+        detections: detections.length,
+        truePositives,
+        falsePositives,
+        falsePositivesOnSpeech,
+        missed,
+        precision: detections.length > 0 ? truePositives / detections.length : 1,
+        recall: fixture.events.length > 0 ? truePositives / fixture.events.length : 1
+    };
+}
+
+module.exports = { MATCH_TOLERANCE, scoreDetections };
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPageScripts } = require('./stubs');
+
+const { Presets, Modes } = loadPageScripts(['modes.js', 'latency.js', 'presets.js'], {}, ['Presets', 'Modes']);
+
+test('a preset keeps only the rate limits that differ from the mode defaults', () => {
+    const rateLimits = Modes.defaultRateLimits();
+    rateLimits.smack.maxClicksPerSecond += 2;
+    const params = Presets.pickParams({ mode: 'smack', sensitivity: 1.2, rateLimits });
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(params.rateLimits)), {
+        smack: { maxClicksPerSecond: rateLimits.smack.maxClicksPerSecond }
+    });
+    assert.ok(!('rateLimits' in Presets.pickParams({ mode: 'click', rateLimits: Modes.defaultRateLimits() })));
+});
+
+test('imported presets are trimmed the same way', () => {
+    const [imported] = Presets.parseImport(JSON.stringify([
+        { name: 'full', params: { mode: 'click', rateLimits: Modes.defaultRateLimits() } }
+    ]));
+    assert.ok(!('rateLimits' in imported.params));
+});
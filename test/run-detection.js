@@ -0,0 +1,169 @@
+// detection benchmark: runs the dsp core over every fixture the way the worklet does and reports
+// precision, recall and false positives on speech per mode and sensitivity
+//
+//   node test/run-detection.js                    print the table
+//   node test/run-detection.js --check            also compare against test/baseline.json
+//   node test/run-detection.js --update-baseline  write the current numbers as the new baseline
+//   node test/run-detection.js --method model     score the classifier (or 'ensemble') instead of the
+//                                                 rules; the baseline only covers the rules
+//   node test/run-detection.js --latency live     run with a latency profile's analysis frame, counting
+//                                                 clicks found too late to repair as missed; the
+//                                                 baseline only covers the standard profile
+
+const fs = require('fs');
+const path = require('path');
+const { MouthClickDetector } = require('../dsp.js');
+const { ClickClassifier } = require('../classifier.js');
+const { Latency } = require('../latency.js');
+const { Modes } = require('../modes.js');
+const { SCENARIOS, createFixture } = require('./fixtures');
+const { scoreDetections } = require('./metrics');
+
+const MODES = Modes.ids();
+const SENSITIVITIES = [0.6, 0.8, 1.0, 1.4, 1.8];
+const BASELINE_PATH = path.join(__dirname, 'baseline.json');
+const WEIGHTS_PATH = path.join(__dirname, '..', 'classifier-weights.json');
+
+// how much worse than the baseline a run may get before --check fails
+const TOLERANCE = { precision: 0.05, recall: 0.05, falsePositivesOnSpeech: 1 };
+
+function loadClassifier() {
+    return new ClickClassifier(JSON.parse(fs.readFileSync(WEIGHTS_PATH, 'utf8')));
+}
+
+// same framing as declicker-worklet.js: the profile's frame advanced one 128-sample quantum at a
+// time. a click the worklet finds after it has left the delay line (a quantum of slack for the
+// output block) is never repaired, so it isn't counted
+function detectClicks(samples, sampleRate, params, classifier = null, latency = Latency.get('standard')) {
+    const detector = new MouthClickDetector(sampleRate, { frameSize: latency.frameSize, hopSize: 128 });
+    const latestOffset = Math.round(latency.lookahead * sampleRate) - detector.hopSize;
+    detector.updateParameters(params);
+    detector.setClassifier(classifier);
+
+    const detections = [];
+    for (let end = detector.frameSize; end <= samples.length; end += detector.hopSize) {
+        const frame = samples.subarray(end - detector.frameSize, end);
+        const freqData = detector.computeSpectrum(frame);
+        const result = detector.detectMouthClick(frame, freqData, end / sampleRate * 1000);
+        if (result.isClick && result.clickOffset < latestOffset) {
+            const position = end - 1 - result.clickOffset;
+            detections.push({ time: position / sampleRate, confidence: result.confidence, detectors: result.detectors });
+        }
+    }
+    return detections;
+}
+
+function runAll(detectionMethod = 'rules', latency = Latency.get('standard')) {
+    const classifier = detectionMethod === 'rules' ? null : loadClassifier();
+    const results = [];
+    Object.keys(SCENARIOS).forEach(name => {
+        const fixture = createFixture(name);
+        MODES.forEach(mode => {
+            SENSITIVITIES.forEach(sensitivity => {
+                const detections = detectClicks(fixture.samples, fixture.sampleRate, { mode, sensitivity, detectionMethod }, classifier, latency);
+                results.push({ scenario: name, mode, sensitivity, ...scoreDetections(fixture, detections) });
+            });
+        });
+    });
+    return results;
+}
+
+function resultKey(result) {
+    return `${result.scenario}/${result.mode}/${result.sensitivity}`;
+}
+
+function printTable(results) {
+    const header = ['scenario', 'mode', 'sens', 'events', 'hits', 'fp', 'fp speech', 'precision', 'recall'];
+    const rows = results.map(r => [
+        r.scenario, r.mode, r.sensitivity.toFixed(1), r.events, r.truePositives, r.falsePositives,
+        r.falsePositivesOnSpeech, r.precision.toFixed(2), r.recall.toFixed(2)
+    ].map(String));
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const format = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+    console.log(format(header));
+    rows.forEach(row => console.log(format(row)));
+}
+
+// list every scenario/mode/sensitivity that got worse than the baseline allows
+function compareWithBaseline(results, baseline) {
+    const regressions = [];
+    results.forEach(result => {
+        const before = baseline[resultKey(result)];
+        if (!before) return;
+
+        if (result.precision < before.precision - TOLERANCE.precision) {
+            regressions.push(`${resultKey(result)}: precision ${before.precision.toFixed(2)} -> ${result.precision.toFixed(2)}`);
+        }
+        if (result.recall < before.recall - TOLERANCE.recall) {
+            regressions.push(`${resultKey(result)}: recall ${before.recall.toFixed(2)} -> ${result.recall.toFixed(2)}`);
+        }
+        if (result.falsePositivesOnSpeech > before.falsePositivesOnSpeech + TOLERANCE.falsePositivesOnSpeech) {
+            regressions.push(`${resultKey(result)}: false positives on speech ${before.falsePositivesOnSpeech} -> ${result.falsePositivesOnSpeech}`);
+        }
+    });
+    return regressions;
+}
+
+function main(args) {
+    const methodIndex = args.indexOf('--method');
+    const detectionMethod = methodIndex >= 0 ? args[methodIndex + 1] : 'rules';
+    if (!['rules', 'model', 'ensemble'].includes(detectionMethod)) {
+        console.error(`unknown detection method ${detectionMethod}`);
+        process.exitCode = 1;
+        return;
+    }
+    if (detectionMethod !== 'rules' && (args.includes('--check') || args.includes('--update-baseline'))) {
+        console.error('the baseline covers the rules only');
+        process.exitCode = 1;
+        return;
+    }
+
+    const latencyIndex = args.indexOf('--latency');
+    const latencyProfile = latencyIndex >= 0 ? args[latencyIndex + 1] : 'standard';
+    if (!Latency.isValid(latencyProfile)) {
+        console.error(`unknown latency profile ${latencyProfile}`);
+        process.exitCode = 1;
+        return;
+    }
+    if (latencyProfile !== 'standard' && (args.includes('--check') || args.includes('--update-baseline'))) {
+        console.error('the baseline covers the standard latency profile only');
+        process.exitCode = 1;
+        return;
+    }
+
+    const results = runAll(detectionMethod, Latency.get(latencyProfile));
+    printTable(results);
+
+    if (args.includes('--update-baseline')) {
+        const baseline = {};
+        results.forEach(result => {
+            baseline[resultKey(result)] = {
+                precision: Number(result.precision.toFixed(3)),
+                recall: Number(result.recall.toFixed(3)),
+                falsePositivesOnSpeech: result.falsePositivesOnSpeech
+            };
+        });
+        fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(baseline, null, 2)}\n`);
+        console.log(`\nbaseline written to ${path.relative(process.cwd(), BASELINE_PATH)}`);
+        return;
+    }
+
+    if (args.includes('--check')) {
+        const baseline = JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8'));
+        const regressions = compareWithBaseline(results, baseline);
+        if (regressions.length > 0) {
+            console.error('\nregressions against baseline:');
+            regressions.forEach(line => console.error(`  ${line}`));
+            process.exitCode = 1;
+        } else {
+            console.log('\nno regressions against baseline');
+        }
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { detectClicks, runAll, compareWithBaseline, loadClassifier };
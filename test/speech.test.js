@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SpeechAnalyzer } = require('../speech.js');
+const { MouthClickDetector } = require('../dsp.js');
+const { createRandom } = require('./fixtures');
+
+const SAMPLE_RATE = 48000;
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 128;
+
+// run a signal through an analyzer the way the detector does, one hop at a time
+function analyzeStream(signal) {
+    const analyzer = new SpeechAnalyzer(SAMPLE_RATE, HOP_SIZE);
+    const results = [];
+    for (let end = FRAME_SIZE; end <= signal.length; end += HOP_SIZE) {
+        const result = analyzer.analyze(signal.subarray(end - FRAME_SIZE, end), end / SAMPLE_RATE * 1000);
+        results.push({ time: end / SAMPLE_RATE, ...result });
+    }
+    return results;
+}
+
+function during(results, start, end) {
+    return results.filter(result => result.time >= start && result.time < end);
+}
+
+// harmonics of f0 falling off with their number, roughly a held vowel
+function addVoice(signal, f0, start, end, amplitude) {
+    for (let i = Math.round(start * SAMPLE_RATE); i < Math.round(end * SAMPLE_RATE); i++) {
+        for (let k = 1; k * f0 < 4000; k++) {
+            signal[i] += amplitude / k * Math.sin(2 * Math.PI * f0 * k * i / SAMPLE_RATE);
+        }
+    }
+}
+
+function addNoise(signal, start, end, amplitude, seed) {
+    const random = createRandom(seed);
+    for (let i = Math.round(start * SAMPLE_RATE); i < Math.round(end * SAMPLE_RATE); i++) {
+        signal[i] += (random() * 2 - 1) * amplitude;
+    }
+}
+
+test('yin finds the pitch of a harmonic voice and calls it voiced', () => {
+    [110, 150, 220].forEach(f0 => {
+        const signal = new Float32Array(SAMPLE_RATE / 2);
+        addNoise(signal, 0, 0.5, 0.001, 3);
+        addVoice(signal, f0, 0, 0.5, 0.1);
+
+        const held = during(analyzeStream(signal), 0.1, 0.5);
+        held.forEach(result => {
+            assert.strictEqual(result.voicing, 'voiced');
+            assert.ok(Math.abs(result.pitch - f0) / f0 < 0.03, `${f0}hz read as ${result.pitch}`);
+        });
+        assert.ok(held[held.length - 1].pitchStability > 0.9);
+        assert.ok(held[held.length - 1].protection > 0.9);
+    });
+});
+
+test('noise is unvoiced above the floor and silence at it', () => {
+    const signal = new Float32Array(SAMPLE_RATE);
+    addNoise(signal, 0, 1, 0.001, 5);
+    addNoise(signal, 0.4, 0.6, 0.1, 7);
+
+    const results = analyzeStream(signal);
+    during(results, 0.1, 0.4).forEach(result => {
+        assert.strictEqual(result.voicing, 'silence');
+        assert.strictEqual(result.protection, 0);
+    });
+    during(results, 0.45, 0.6).forEach(result => {
+        assert.strictEqual(result.voicing, 'unvoiced');
+        assert.strictEqual(result.pitch, 0);
+    });
+    during(results, 0.7, 1).forEach(result => assert.strictEqual(result.voicing, 'silence'));
+});
+
+test('frication and plosive bursts are told apart from a click', () => {
+    const signal = new Float32Array(SAMPLE_RATE);
+    addNoise(signal, 0, 1, 0.001, 11);
+
+    // 's': white noise, nearly all of it high
+    addNoise(signal, 0.2, 0.3, 0.1, 13);
+
+    // 'p': a decaying broadband burst with most of its energy low, out of a closure
+    const random = createRandom(17);
+    let lowpassed = 0;
+    for (let i = 0; i < 0.015 * SAMPLE_RATE; i++) {
+        const noise = random() * 2 - 1;
+        lowpassed += (noise - lowpassed) * 0.05;
+        signal[Math.round(0.5 * SAMPLE_RATE) + i] += (lowpassed + noise * 0.1) * 0.8 * Math.exp(-i / (0.004 * SAMPLE_RATE));
+    }
+
+    // a tonal mouth click, as the fixtures make them
+    for (let i = 0; i < 0.002 * SAMPLE_RATE; i++) {
+        signal[Math.round(0.8 * SAMPLE_RATE) + i] += 0.2 * Math.sin(2 * Math.PI * 3500 * i / SAMPLE_RATE) * Math.exp(-i / 30);
+    }
+
+    const results = analyzeStream(signal);
+    const onsets = (start, end) => during(results, start, end).map(result => result.onset).filter(Boolean);
+    assert.deepStrictEqual(onsets(0.2, 0.3), ['fricative']);
+    assert.ok(during(results, 0.25, 0.3).every(result => result.components.fricative > 0.5));
+    assert.deepStrictEqual(onsets(0.5, 0.52), ['plosive']);
+    assert.ok(during(results, 0.5, 0.52).some(result => result.components.plosive > 0.5));
+    assert.deepStrictEqual(onsets(0.8, 0.85), []);
+});
+
+test('speech raises the confidence the detector requires', () => {
+    const detector = new MouthClickDetector(SAMPLE_RATE, { frameSize: FRAME_SIZE, hopSize: HOP_SIZE });
+    const signal = new Float32Array(SAMPLE_RATE / 2);
+    addNoise(signal, 0, 0.5, 0.001, 19);
+    addVoice(signal, 140, 0.25, 0.5, 0.1);
+
+    const required = [];
+    for (let end = FRAME_SIZE; end <= signal.length; end += HOP_SIZE) {
+        const frame = signal.subarray(end - FRAME_SIZE, end);
+        const result = detector.detectMouthClick(frame, detector.computeSpectrum(frame), end / SAMPLE_RATE * 1000);
+        assert.strictEqual(result.details.speechProtection, result.details.speech.protection);
+        required.push({ time: end / SAMPLE_RATE, confidence: detector.requiredConfidence() });
+    }
+    const requiredAt = (time) => required.find(entry => entry.time >= time).confidence;
+    const quiet = requiredAt(0.2);
+    const voiced = requiredAt(0.45);
+
+    assert.strictEqual(quiet, 0.5);
+    assert.ok(voiced > quiet * 2.5, `required ${voiced} in speech`);
+});
+
+test('detectors sharing a frame analysis track the pitch once per frame', () => {
+    // one detector measures each frame for the mode detectors, as a worklet lane does
+    const analyzer = new MouthClickDetector(SAMPLE_RATE, { frameSize: FRAME_SIZE, hopSize: HOP_SIZE });
+    let analyses = 0;
+    const trackPitch = analyzer.speechAnalyzer.trackPitch.bind(analyzer.speechAnalyzer);
+    analyzer.speechAnalyzer.trackPitch = () => {
+        analyses++;
+        return trackPitch();
+    };
+
+    const detectors = ['click', 'smack'].map(mode => {
+        const detector = new MouthClickDetector(SAMPLE_RATE, { frameSize: FRAME_SIZE, hopSize: HOP_SIZE });
+        detector.updateParameters({ mode });
+        return detector;
+    });
+
+    const signal = new Float32Array(SAMPLE_RATE / 10);
+    addVoice(signal, 180, 0, 0.1, 0.1);
+    for (let end = FRAME_SIZE; end <= signal.length; end += HOP_SIZE) {
+        const frame = signal.subarray(end - FRAME_SIZE, end);
+        const spectrum = analyzer.computeSpectrum(frame);
+        const time = end / SAMPLE_RATE * 1000;
+        const analysis = analyzer.analyzeFrame(frame, spectrum, time);
+        const results = detectors.map(detector => detector.detectMouthClick(frame, spectrum, time, analysis));
+        assert.strictEqual(results[0].details.speech, results[1].details.speech);
+    }
+    assert.strictEqual(analyses, Math.floor((signal.length - FRAME_SIZE) / HOP_SIZE) + 1);
+});
@@ -0,0 +1,217 @@
+// minimal stand-ins for the web audio, chrome.storage and dom pieces the extension's scripts touch
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+class StubParam {
+    constructor(value) {
+        this.value = value;
+        this.automation = []; // [method, value, time] of each scheduled change
+    }
+
+    // jump straight to the target, tests mostly care where a ramp ends up
+    setTargetAtTime(value, time) {
+        this.value = value;
+        this.automation.push(['setTargetAtTime', value, time]);
+    }
+
+    setValueAtTime(value, time) {
+        this.value = value;
+        this.automation.push(['setValueAtTime', value, time]);
+    }
+}
+
+class StubNode {
+    constructor(kind, params = {}) {
+        this.kind = kind;
+        this.connections = [];
+        this.routes = []; // { target, output, input } for each connection
+        Object.keys(params).forEach(name => {
+            this[name] = new StubParam(params[name]);
+        });
+    }
+
+    connect(target, output = 0, input = 0) {
+        this.connections.push(target);
+        this.routes.push({ target, output, input });
+        return target;
+    }
+
+    disconnect() {
+        this.connections = [];
+        this.routes = [];
+    }
+}
+
+function createStubContext(sampleRate = 48000) {
+    return {
+        sampleRate,
+        currentTime: 0,
+        state: 'running',
+        destination: new StubNode('destination'),
+        createGain: () => new StubNode('gain', { gain: 1 }),
+        createDelay: () => new StubNode('delay', { delayTime: 0 }),
+        createBiquadFilter: () => new StubNode('biquad', { frequency: 350, Q: 1, gain: 0 }),
+        createChannelSplitter: () => new StubNode('splitter'),
+        createChannelMerger: () => new StubNode('merger')
+    };
+}
+
+// chrome.storage.sync lookalike backed by a plain object, answering asynchronously like the real one
+function createStubStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        get(keys, callback) {
+            const result = {};
+            keys.forEach(key => {
+                if (key in data) result[key] = data[key];
+            });
+            setImmediate(() => callback(result));
+        },
+        set(values, callback) {
+            Object.assign(data, values);
+            if (callback) setImmediate(callback);
+        }
+    };
+}
+
+class StubEventTarget {
+    constructor() {
+        this.listeners = {};
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(entry => entry !== listener);
+    }
+
+    dispatchEvent(type, target = this) {
+        (this.listeners[type] || []).slice().forEach(listener => listener({ type, target }));
+    }
+}
+
+// an element tree just deep enough for media discovery; selectors are lists of tag names or '*'
+class StubElement extends StubEventTarget {
+    constructor(tagName, ownerDocument = null) {
+        super();
+        this.tagName = tagName;
+        this.ownerDocument = ownerDocument;
+        this.nodeType = 1;
+        this.parentNode = null;
+        this.children = [];
+        this.shadowRoot = null;
+        this.paused = true;
+        this.style = {};
+    }
+
+    get isConnected() {
+        let node = this;
+        while (node.parentNode) node = node.parentNode;
+        return node instanceof StubDocument;
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    replaceChildren(...children) {
+        this.children = [];
+        children.forEach(child => this.appendChild(child));
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: 640, height: 360 };
+    }
+
+    remove() {
+        if (!this.parentNode) return;
+        this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+        this.parentNode = null;
+    }
+
+    querySelectorAll(selector) {
+        const tags = selector.split(',').map(tag => tag.trim().toUpperCase());
+        const found = [];
+        const visit = node => node.children.forEach(child => {
+            if (tags.includes('*') || tags.includes(child.tagName)) found.push(child);
+            visit(child);
+        });
+        visit(this);
+        return found;
+    }
+}
+
+// a document with its window; a frame's document loses its window when the frame unloads
+class StubDocument extends StubElement {
+    constructor() {
+        super('#document');
+        this.nodeType = 9;
+        this.defaultView = new StubEventTarget();
+        // animation frames are requested but never run
+        this.defaultView.requestAnimationFrame = () => 1;
+        this.defaultView.cancelAnimationFrame = () => {};
+        this.body = this.appendChild(this.createElement('body'));
+    }
+
+    createElement(tagName) {
+        return new StubElement(tagName.toUpperCase(), this);
+    }
+
+    // an iframe in this document holding a document of its own
+    createFrame() {
+        const frame = this.createElement('iframe');
+        frame.contentDocument = new StubDocument();
+        frame.contentWindow = frame.contentDocument.defaultView;
+        return frame;
+    }
+}
+
+// browser scripts run in a sandbox standing in for their global scope
+function runScripts(scope, files, wrap) {
+    vm.createContext(scope);
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInContext(wrap ? `(function (module) {\n${source}\n})();` : source, scope, { filename: file });
+    });
+}
+
+// content scripts sharing a page: the named top-level declarations are read back from the sandbox
+function loadPageScripts(files, globals, names) {
+    const scope = { console, ...globals };
+    runScripts(scope, files, false);
+    const loaded = { scope };
+    names.forEach(name => {
+        loaded[name] = vm.runInContext(name, scope);
+    });
+    return loaded;
+}
+
+// the worklet processor class, loaded with its modules into a sandbox standing in for the
+// audio worklet global scope; messages it posts are collected in scope.messages
+function loadWorkletProcessor(sampleRate = 48000) {
+    const scope = { sampleRate, currentTime: 0, messages: [], console };
+    scope.AudioWorkletProcessor = class {
+        constructor() {
+            this.port = { postMessage: (message) => scope.messages.push(message) };
+        }
+    };
+    scope.registerProcessor = (name, processor) => {
+        scope.processor = processor;
+    };
+
+    // the modules export to node when they can, the worklet scope has no module object
+    runScripts(scope, ['modes.js', 'latency.js', 'speech.js', 'dsp.js', 'classifier.js', 'declicker-worklet.js'], true);
+    return { Processor: scope.processor, scope };
+}
+
+module.exports = {
+    StubNode, StubParam, StubElement, StubDocument, createStubContext, createStubStorage,
+    loadWorkletProcessor, loadPageScripts
+};
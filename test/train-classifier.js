@@ -0,0 +1,259 @@
+// trains the optional click classifier (classifier.js) on labeled fixture frames and writes
+// classifier-weights.json next to the extension files
+//
+//   node test/train-classifier.js            train, report and write the weights
+//   node test/train-classifier.js --dry-run  train and report without writing
+//
+// training renders every scenario from seeds the benchmark doesn't use, so
+// `node test/run-detection.js --method model` scores the model on audio it never saw
+
+const fs = require('fs');
+const path = require('path');
+const { MouthClickDetector } = require('../dsp.js');
+const { ClickClassifier } = require('../classifier.js');
+const { SCENARIOS, createFixture, createRandom } = require('./fixtures');
+const { scoreDetections } = require('./metrics');
+const { detectClicks } = require('./run-detection');
+
+const WEIGHTS_PATH = path.join(__dirname, '..', 'classifier-weights.json');
+
+// the dsp features the model reads, see detectMouthClick
+const FEATURES = [
+    'lpcConfidence', 'spectralFlux', 'spectralCentroid', 'spectralSpread',
+    'mouthBandRatio', 'highFreqBurst', 'periodicity', 'pitchStability', 'levelAboveFloor'
+];
+
+// takes per scenario; the last one is held out to check the model generalizes
+const TAKES = 6;
+// extra takes of clean speech, so consonants are well represented among the negatives
+const SPEECH_TAKES = 6;
+// loss weight of a speech frame without a click, next to 1 for the other negatives; clicks are
+// weighted by the square root of how rare they are, fully balancing them took speech for clicks
+const SPEECH_WEIGHT = 4;
+const HIDDEN_UNITS = 8;
+const EPOCHS = 60;
+const BATCH_SIZE = 64;
+const LEARNING_RATE = 0.01;
+
+// every frame of a take with its features and label: 1 when a click or smack starts inside
+// the frame, 0 when nothing overlaps it; frames holding only an event's tail are left out
+function collectFrames(fixture) {
+    const detector = new MouthClickDetector(fixture.sampleRate, { frameSize: 1024, hopSize: 128 });
+    const frames = [];
+    for (let end = detector.frameSize; end <= fixture.samples.length; end += detector.hopSize) {
+        const frame = fixture.samples.subarray(end - detector.frameSize, end);
+        const result = detector.detectMouthClick(frame, detector.computeSpectrum(frame), end / fixture.sampleRate * 1000);
+
+        const start = (end - detector.frameSize) / fixture.sampleRate;
+        const stop = end / fixture.sampleRate;
+        const starting = fixture.events.some(event => event.time >= start && event.time < stop);
+        const overlapping = fixture.events.some(event => event.time < stop && event.end > start);
+        if (overlapping && !starting) continue;
+
+        const speech = fixture.speech.some(region => region.start < stop && region.end > start);
+        frames.push({ features: result.details.features, label: starting ? 1 : 0, speech });
+    }
+    return frames;
+}
+
+function standardization(frames) {
+    frames = frames.map(frame => ({ inputs: FEATURES.map(name => ClickClassifier.transform(frame.features[name])) }));
+    const mean = FEATURES.map((name, i) => frames.reduce((sum, frame) => sum + frame.inputs[i], 0) / frames.length);
+    const scale = FEATURES.map((name, i) => {
+        const variance = frames.reduce((sum, frame) => sum + (frame.inputs[i] - mean[i]) ** 2, 0) / frames.length;
+        return Math.sqrt(variance) || 1;
+    });
+    return { mean, scale };
+}
+
+// one hidden relu layer into a sigmoid, trained with adam on class-weighted cross entropy
+// (clicks are rare next to the frames around them, speech is what they must not be taken for)
+function train(frames, random) {
+    const inputs = FEATURES.length;
+    const init = (fanIn) => (random() * 2 - 1) * Math.sqrt(6 / fanIn);
+    const layers = [
+        { weights: Array.from({ length: HIDDEN_UNITS }, () => Array.from({ length: inputs }, () => init(inputs))), bias: new Array(HIDDEN_UNITS).fill(0) },
+        { weights: [Array.from({ length: HIDDEN_UNITS }, () => init(HIDDEN_UNITS))], bias: [0] }
+    ];
+
+    // adam moments for every parameter, flattened in the same order as params()
+    const params = () => layers.flatMap(layer => [...layer.weights.flat(), ...layer.bias]);
+    const count = params().length;
+    const m = new Float64Array(count);
+    const v = new Float64Array(count);
+    let step = 0;
+
+    const positives = frames.filter(frame => frame.label === 1).length;
+    const positiveWeight = Math.sqrt((frames.length - positives) / Math.max(1, positives));
+
+    const order = frames.map((frame, i) => i);
+    for (let epoch = 0; epoch < EPOCHS; epoch++) {
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        for (let batchStart = 0; batchStart < order.length; batchStart += BATCH_SIZE) {
+            const batch = order.slice(batchStart, batchStart + BATCH_SIZE);
+            const hiddenGrad = layers[0].weights.map(unit => unit.map(() => 0));
+            const hiddenBiasGrad = new Array(HIDDEN_UNITS).fill(0);
+            const outputGrad = new Array(HIDDEN_UNITS).fill(0);
+            let outputBiasGrad = 0;
+
+            batch.forEach(index => {
+                const { inputs: x, label, speech } = frames[index];
+                const pre = layers[0].weights.map((unit, j) => unit.reduce((sum, w, i) => sum + w * x[i], layers[0].bias[j]));
+                const hidden = pre.map(value => Math.max(0, value));
+                const logit = layers[1].weights[0].reduce((sum, w, j) => sum + w * hidden[j], layers[1].bias[0]);
+                const probability = 1 / (1 + Math.exp(-logit));
+
+                const delta = (probability - label) * (label === 1 ? positiveWeight : speech ? SPEECH_WEIGHT : 1) / batch.length;
+                outputBiasGrad += delta;
+                hidden.forEach((h, j) => {
+                    outputGrad[j] += delta * h;
+                    if (pre[j] <= 0) return;
+                    const hiddenDelta = delta * layers[1].weights[0][j];
+                    hiddenBiasGrad[j] += hiddenDelta;
+                    x.forEach((value, i) => {
+                        hiddenGrad[j][i] += hiddenDelta * value;
+                    });
+                });
+            });
+
+            const grads = [...hiddenGrad.flat(), ...hiddenBiasGrad, ...outputGrad, outputBiasGrad];
+            step++;
+            const updated = params().map((value, k) => {
+                m[k] = 0.9 * m[k] + 0.1 * grads[k];
+                v[k] = 0.999 * v[k] + 0.001 * grads[k] * grads[k];
+                const mHat = m[k] / (1 - Math.pow(0.9, step));
+                const vHat = v[k] / (1 - Math.pow(0.999, step));
+                return value - LEARNING_RATE * mHat / (Math.sqrt(vHat) + 1e-8);
+            });
+
+            let k = 0;
+            layers.forEach(layer => {
+                layer.weights = layer.weights.map(unit => unit.map(() => updated[k++]));
+                layer.bias = layer.bias.map(() => updated[k++]);
+            });
+        }
+    }
+
+    return [
+        { ...layers[0], activation: 'relu' },
+        { ...layers[1], activation: 'sigmoid' }
+    ];
+}
+
+function round(value) {
+    return Number(value.toFixed(5));
+}
+
+function frameAccuracy(classifier, frames) {
+    let correct = 0;
+    let positives = 0;
+    let found = 0;
+    frames.forEach(frame => {
+        const predicted = classifier.predict(frame.features) > 0.5 ? 1 : 0;
+        if (predicted === frame.label) correct++;
+        if (frame.label === 1) {
+            positives++;
+            if (predicted === 1) found++;
+        }
+    });
+    return { accuracy: correct / frames.length, recall: positives > 0 ? found / positives : 1 };
+}
+
+// probability threshold with the best f1 on click frames, a speech frame taken for a click
+// counting as SPEECH_WEIGHT false positives
+function decisionThreshold(classifier, frames) {
+    const probabilities = frames.map(frame => classifier.predict(frame.features));
+    let best = { threshold: 0.5, score: -1 };
+    for (let threshold = 0.3; threshold <= 0.901; threshold += 0.05) {
+        let found = 0;
+        let missed = 0;
+        let falseAlarms = 0;
+        frames.forEach((frame, i) => {
+            const predicted = probabilities[i] > threshold;
+            if (frame.label === 1) {
+                if (predicted) found++; else missed++;
+            } else if (predicted) {
+                falseAlarms += frame.speech ? SPEECH_WEIGHT : 1;
+            }
+        });
+        const score = 2 * found / (2 * found + missed + falseAlarms);
+        if (score > best.score) best = { threshold, score };
+    }
+    console.log(`decision threshold ${best.threshold.toFixed(2)} (held-out f1 ${best.score.toFixed(3)})`);
+    return best.threshold;
+}
+
+function main(args) {
+    const trainFrames = [];
+    const heldOutFrames = [];
+    Object.keys(SCENARIOS).forEach(name => {
+        for (let take = 1; take <= TAKES; take++) {
+            const fixture = createFixture(name, 48000, SCENARIOS[name].seed + 1000 * take);
+            (take === TAKES ? heldOutFrames : trainFrames).push(...collectFrames(fixture));
+        }
+    });
+    for (let take = 1; take <= SPEECH_TAKES; take++) {
+        trainFrames.push(...collectFrames(createFixture('cleanSpeech', 48000, SCENARIOS.cleanSpeech.seed + 1000 * (TAKES + take))));
+    }
+
+    const { mean, scale } = standardization(trainFrames);
+    const standardized = trainFrames.map(frame => ({
+        // standardized the way ClickClassifier.inputs does it, a missing feature at the mean
+        inputs: FEATURES.map((name, i) => isFinite(frame.features[name]) ? (ClickClassifier.transform(frame.features[name]) - mean[i]) / scale[i] : 0),
+        label: frame.label,
+        speech: frame.speech
+    }));
+    const layers = train(standardized, createRandom(7));
+
+    const weights = {
+        version: 1,
+        features: FEATURES,
+        mean: mean.map(round),
+        scale: scale.map(round),
+        layers: layers.map(layer => ({
+            weights: layer.weights.map(unit => unit.map(round)),
+            bias: layer.bias.map(round),
+            activation: layer.activation
+        }))
+    };
+    let classifier = new ClickClassifier(weights);
+
+    // the detector asks for a probability of 0.5 at sensitivity 1; the threshold that scores best
+    // on the held-out take is folded into the output bias so that 0.5 stands for it
+    const threshold = decisionThreshold(classifier, heldOutFrames);
+    const output = weights.layers[weights.layers.length - 1];
+    output.bias = output.bias.map(bias => round(bias - Math.log(threshold / (1 - threshold))));
+    classifier = new ClickClassifier(weights);
+
+    const trainScore = frameAccuracy(classifier, trainFrames);
+    const heldOutScore = frameAccuracy(classifier, heldOutFrames);
+    console.log(`frames: ${trainFrames.length} training, ${heldOutFrames.length} held out`);
+    console.log(`training: accuracy ${trainScore.accuracy.toFixed(3)}, click recall ${trainScore.recall.toFixed(3)}`);
+    console.log(`held out: accuracy ${heldOutScore.accuracy.toFixed(3)}, click recall ${heldOutScore.recall.toFixed(3)}`);
+
+    // the benchmark fixtures at sensitivity 1, for a first look next to the rules
+    console.log('\nbenchmark at sensitivity 1.0 (precision / recall / false positives on speech):');
+    Object.keys(SCENARIOS).forEach(name => {
+        const fixture = createFixture(name);
+        const line = ['rules', 'model', 'ensemble'].map(detectionMethod => {
+            const detections = detectClicks(fixture.samples, fixture.sampleRate, { sensitivity: 1.0, detectionMethod }, classifier);
+            const score = scoreDetections(fixture, detections);
+            return `${detectionMethod} ${score.precision.toFixed(2)}/${score.recall.toFixed(2)}/${score.falsePositivesOnSpeech}`;
+        });
+        console.log(`  ${name.padEnd(12)} ${line.join('   ')}`);
+    });
+
+    if (args.includes('--dry-run')) return;
+    fs.writeFileSync(WEIGHTS_PATH, `${JSON.stringify(weights, null, 2)}\n`);
+    console.log(`\nweights written to ${path.relative(process.cwd(), WEIGHTS_PATH)}`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { FEATURES, collectFrames };
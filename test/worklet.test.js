@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWorkletProcessor } = require('./stubs');
+const { createRandom } = require('./fixtures');
+const { Latency } = require('../latency.js');
+
+const SAMPLE_RATE = 48000;
+const QUANTUM = 128;
+const REPAIR_BANDS = ['low', 'mid', 'mouth', 'high'];
+
+// quiet noise in both ears with tonal mouth clicks in the left one only
+function createBinauralSignal() {
+    const random = createRandom(23);
+    const channels = [new Float32Array(SAMPLE_RATE), new Float32Array(SAMPLE_RATE)];
+    channels.forEach(channel => {
+        for (let i = 0; i < channel.length; i++) channel[i] = (random() * 2 - 1) * 0.001;
+    });
+    [0.4, 0.7].forEach(time => {
+        for (let i = 0; i < 0.002 * SAMPLE_RATE; i++) {
+            channels[0][Math.round(time * SAMPLE_RATE) + i] += 0.3 * Math.sin(2 * Math.PI * 3500 * i / SAMPLE_RATE) * Math.exp(-i / 30);
+        }
+    });
+    return channels;
+}
+
+// stream the signal through the processor and return the clicks it reported and, per channel,
+// the deepest gain its repair outputs asked for after the first 0.3s
+function runProcessor(params, latency = 'standard') {
+    const { Processor, scope } = loadWorkletProcessor(SAMPLE_RATE);
+    const processor = new Processor({
+        processorOptions: { latency, repairBands: REPAIR_BANDS, params: { sensitivity: 1.5, ...params } }
+    });
+    const signal = createBinauralSignal();
+    const lowestGain = [1, 1];
+
+    for (let start = 0; start < signal[0].length + Latency.get(latency).lookahead * SAMPLE_RATE; start += QUANTUM) {
+        const input = signal.map(channel => {
+            const quantum = new Float32Array(QUANTUM);
+            if (start < channel.length) quantum.set(channel.subarray(start, start + QUANTUM));
+            return quantum;
+        });
+        const outputs = [2, 2, 2, 2 * REPAIR_BANDS.length].map(count => Array.from({ length: count }, () => new Float32Array(QUANTUM)));
+        processor.process([input], outputs);
+
+        if (start < 0.3 * SAMPLE_RATE) continue;
+        for (let c = 0; c < 2; c++) {
+            const bands = outputs[3].slice(c * REPAIR_BANDS.length, (c + 1) * REPAIR_BANDS.length);
+            for (let i = 0; i < QUANTUM; i++) {
+                const bandGain = Math.min(...bands.map(band => 1 + band[i]));
+                lowestGain[c] = Math.min(lowestGain[c], 1 + outputs[0][c][i], bandGain);
+            }
+        }
+    }
+
+    const clicks = scope.messages.filter(message => message.type === 'click');
+    return { clicks, lowestGain };
+}
+
+test('linked channels repair a click in one ear in both', () => {
+    const { clicks, lowestGain } = runProcessor({ channelMode: 'linked', repairMethod: 'duck' });
+
+    assert.ok(clicks.length >= 2);
+    // messages come from the sandbox realm, so their arrays are copied before comparing
+    clicks.forEach(click => assert.deepStrictEqual([...click.channels], [0, 1]));
+    assert.ok(lowestGain[0] < 0.2 && lowestGain[1] < 0.2);
+});
+
+test('split channels repair a click in one ear in that ear only', () => {
+    ['duck', 'multiband'].forEach(repairMethod => {
+        const { clicks, lowestGain } = runProcessor({ channelMode: 'split', repairMethod });
+
+        assert.ok(clicks.filter(click => click.channels.length === 1 && click.channels[0] === 0).length >= 2);
+        assert.ok(lowestGain[0] < 0.2, `${repairMethod} left gain ${lowestGain[0]}`);
+        assert.strictEqual(lowestGain[1], 1, `${repairMethod} touched the right channel`);
+    });
+});
+
+test('the live profile repairs clicks within its 20ms lookahead', () => {
+    const { clicks, lowestGain } = runProcessor({ channelMode: 'linked', repairMethod: 'duck' }, 'live');
+
+    assert.ok(clicks.length >= 2);
+    assert.ok(lowestGain[0] < 0.2, `left gain ${lowestGain[0]}`);
+});
+
+test('the mode detectors of a lane share one analysis of each frame', () => {
+    const { Processor, scope } = loadWorkletProcessor(SAMPLE_RATE);
+    const processor = new Processor({
+        processorOptions: { repairBands: REPAIR_BANDS, params: { modes: ['click', 'chewing', 'typing'], channelMode: 'split' } }
+    });
+    let analyses = 0;
+    const analyzeFrame = scope.MouthClickDetector.prototype.analyzeFrame;
+    scope.MouthClickDetector.prototype.analyzeFrame = function (...args) {
+        analyses++;
+        return analyzeFrame.apply(this, args);
+    };
+
+    const quanta = 20;
+    for (let n = 0; n < quanta; n++) {
+        const input = [new Float32Array(QUANTUM).fill(0.01), new Float32Array(QUANTUM)];
+        const outputs = [2, 2, 2, 2 * REPAIR_BANDS.length].map(count => Array.from({ length: count }, () => new Float32Array(QUANTUM)));
+        processor.process([input], outputs);
+    }
+    assert.strictEqual(analyses, quanta * 2);
+});
+
+test('a source wider than the chain is reported once', () => {
+    const { Processor, scope } = loadWorkletProcessor(SAMPLE_RATE);
+    const processor = new Processor({ processorOptions: { repairBands: REPAIR_BANDS, params: {} } });
+    const quanta = count => Array.from({ length: count }, () => new Float32Array(QUANTUM));
+
+    for (let q = 0; q < 4; q++) {
+        processor.process([quanta(2), quanta(q < 2 ? 2 : 6)], [2, 2, 2, 2 * REPAIR_BANDS.length].map(quanta));
+    }
+    const reports = scope.messages.filter(message => message.type === 'channels');
+    assert.deepStrictEqual(reports.map(message => message.value), [6]);
+});
+
+test('switching latency profile mid-stream keeps the repaired output playing', () => {
+    const { Processor, scope } = loadWorkletProcessor(SAMPLE_RATE);
+    const processor = new Processor({
+        processorOptions: { latency: 'standard', repairBands: REPAIR_BANDS, params: { repairMethod: 'interpolate' } }
+    });
+    const signal = new Float32Array(2 * SAMPLE_RATE);
+    for (let i = 0; i < signal.length; i++) signal[i] = 0.1 * Math.sin(2 * Math.PI * 220 * i / SAMPLE_RATE);
+
+    // longer then shorter, each switch timed on a quantum 32ms after the message like the main thread does
+    const switches = [{ id: 'quality', at: 0.48, time: 0.512 }, { id: 'live', at: 1.2, time: 1.232 }];
+    let lookahead = Latency.get('standard').lookahead;
+    for (let start = 0; start < signal.length; start += QUANTUM) {
+        scope.currentTime = start / SAMPLE_RATE;
+        switches.forEach(({ id, at, time }) => {
+            if (Math.abs(scope.currentTime - at) < 0.5 * QUANTUM / SAMPLE_RATE) {
+                processor.handleMessage({ type: 'latency', value: { id, time } });
+            }
+            if (Math.abs(scope.currentTime - time) < 0.5 * QUANTUM / SAMPLE_RATE) lookahead = Latency.get(id).lookahead;
+        });
+
+        const outputs = [2, 2, 2, 2 * REPAIR_BANDS.length].map(count => Array.from({ length: count }, () => new Float32Array(QUANTUM)));
+        const quantum = signal.subarray(start, start + QUANTUM);
+        processor.process([[quantum, quantum]], outputs);
+
+        // once filled, the output is the input exactly one lookahead of the delay line earlier
+        const delay = Math.round(lookahead * SAMPLE_RATE);
+        if (start < delay) continue;
+        for (let i = 0; i < QUANTUM; i++) {
+            assert.strictEqual(outputs[1][0][i], signal[start + i - delay], `sample ${start + i}`);
+            assert.strictEqual(outputs[0][0][i], 0);
+        }
+    }
+});
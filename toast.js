@@ -0,0 +1,47 @@
+// brief on-page confirmation for changes made without the popup open (keyboard shortcuts)
+
+const Toast = {
+    element: null,
+    hideTimer: null,
+    duration: 1400,
+
+    show(text) {
+        if (!document.body) return;
+
+        if (!this.element) {
+            const element = document.createElement('div');
+            element.id = 'misophonia-toast';
+            element.style.cssText = `
+                position: fixed;
+                top: 20px;
+                left: 50%;
+                transform: translateX(-50%);
+                z-index: 2147483647;
+                padding: 8px 14px;
+                border-radius: 6px;
+                background: linear-gradient(135deg, rgba(102, 126, 234, 0.95) 0%, rgba(118, 75, 162, 0.95) 100%);
+                color: white;
+                font: 600 12px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+                pointer-events: none;
+                opacity: 0;
+                transition: opacity .15s;
+            `;
+            this.element = element;
+        }
+
+        // fullscreen video hides everything outside the fullscreen element
+        const host = document.fullscreenElement || document.body;
+        if (this.element.parentNode !== host) {
+            host.appendChild(this.element);
+        }
+
+        this.element.textContent = text;
+        this.element.style.opacity = '1';
+
+        clearTimeout(this.hideTimer);
+        this.hideTimer = setTimeout(() => {
+            this.element.style.opacity = '0';
+        }, this.duration);
+    }
+};